@@ -0,0 +1,86 @@
+/**
+ * WTTP Publish Cost Estimate
+ *
+ * Estimates what publishing a file or a directory to a WTTP site would cost
+ * before anything is signed: royalties owed for datapoints other publishers
+ * already registered, plus gas for the new writes. Node only.
+ *
+ * Usage:
+ * ```javascript
+ * import { estimatePublishCost } from './estimate.js';
+ *
+ * const { files, totals } = await estimatePublishCost({ target: './dist', siteAddress: '0xYourSiteAddress', provider });
+ * ```
+ */
+
+import { promises as fs } from "fs";
+import nodePath from "path";
+import { estimateWTTPResourceCost } from "../utils/wttpPublish.js";
+import { getMimeTypeForPath } from "../utils/wttpCodec.js";
+import { listFiles } from "./sync.js";
+
+/**
+ * Site paths for a file (`filePath`, default "/name") or every file under a
+ * directory. A directory's paths come from its layout, so `filePath` is
+ * rejected for one.
+ */
+async function listTarget(target, filePath) {
+  const stats = await fs.stat(target);
+  if (stats.isDirectory()) {
+    if (filePath) {
+      throw new Error(
+        `A site path can only be given for a single file, but ${target} is a directory`
+      );
+    }
+    return listFiles(target);
+  }
+  return [{ path: filePath || `/${nodePath.basename(target)}`, file: target }];
+}
+
+/**
+ * Estimates the cost of publishing `target` (a file or directory) to a site.
+ * Pass `from` (or a signer) so gas can be simulated as the site publisher, and
+ * `path` to publish a single file somewhere other than "/<file name>".
+ * Returns a per-file estimate and the totals in wei.
+ */
+export async function estimatePublishCost(config) {
+  const {
+    target,
+    siteAddress,
+    provider,
+    signer,
+    from,
+    path: filePath,
+    options = {},
+  } = config;
+
+  const targets = await listTarget(target, filePath);
+
+  const files = [];
+  for (const { path, file } of targets) {
+    files.push(
+      await estimateWTTPResourceCost({
+        siteAddress,
+        path,
+        content: await fs.readFile(file),
+        mimeType: getMimeTypeForPath(path),
+        signer,
+        provider,
+        options: { ...options, from },
+      })
+    );
+  }
+
+  const sum = (key) => files.reduce((total, file) => total + file[key], 0n);
+  return {
+    files,
+    totals: {
+      royalty: sum("royalty"),
+      gas: sum("gas"),
+      gasCost: sum("gasCost"),
+      total: sum("total"),
+      transactions: files.reduce((total, file) => total + file.transactions, 0),
+      approximateGas: files.some((file) => file.approximateGas),
+    },
+  };
+}
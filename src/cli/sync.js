@@ -0,0 +1,254 @@
+/**
+ * WTTP Directory Sync
+ *
+ * Compares a local build folder (e.g. a Vite `dist/`) with a WTTP site and
+ * publishes the difference. Each local file is matched to the resource at the
+ * same path: a HEAD request gives the on-chain etag and size, and the local
+ * etag is computed from the file's datapoint addresses, so unchanged files are
+ * detected without downloading them. Node only, since it reads the file system.
+ *
+ * WTTP sites can't list their resources, so "removed" paths come from a state
+ * file recording what the previous sync published (default `.wttp-sync.json`
+ * in the working directory).
+ *
+ * Usage:
+ * ```javascript
+ * import { planSync, applySync } from './sync.js';
+ *
+ * const plan = await planSync({ dir: './dist', siteAddress: '0xYourSiteAddress', provider });
+ * await applySync(plan, { signer, deleteRemoved: true });
+ * ```
+ */
+
+import { promises as fs } from "fs";
+import nodePath from "path";
+import { Contract } from "ethers";
+import IBaseWTTPSiteArtifact from "../abis/IBaseWTTPSite.json";
+import IDataPointStorageArtifact from "../abis/IDataPointStorage.json";
+import {
+  fetchWTTPResource,
+  getContractAddress,
+  computeResourceEtag,
+  WttpNotFoundError,
+} from "../utils/wttpFetch.js";
+import {
+  putWTTPResource,
+  deleteWTTPResource,
+  splitIntoChunks,
+} from "../utils/wttpPublish.js";
+import {
+  encodeMimeType,
+  getMimeTypeForPath,
+  EMPTY_CODE,
+} from "../utils/wttpCodec.js";
+import { logger } from "../utils/logger.js";
+
+const WEB3_SITE_ABI = IBaseWTTPSiteArtifact.abi;
+const DATA_POINT_STORAGE_ABI = IDataPointStorageArtifact.abi;
+
+// Where the paths published by the last sync are recorded
+export const DEFAULT_STATE_FILE = ".wttp-sync.json";
+
+/**
+ * Lists the files under a directory as site paths ("/assets/index.js")
+ */
+export async function listFiles(dir, prefix = "") {
+  const files = [];
+  const entries = await fs.readdir(nodePath.join(dir, prefix), {
+    withFileTypes: true,
+  });
+  for (const entry of entries) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(dir, relative)));
+    } else if (entry.isFile()) {
+      files.push({ path: `/${relative}`, file: nodePath.join(dir, relative) });
+    }
+  }
+  return files.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Reads the sync state file; a missing file is an empty state
+ */
+async function readState(stateFile) {
+  try {
+    return JSON.parse(await fs.readFile(stateFile, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return {};
+    throw new Error(`Failed to read sync state ${stateFile}: ${error.message}`);
+  }
+}
+
+async function writeState(stateFile, state) {
+  await fs.writeFile(stateFile, JSON.stringify(state, null, 2) + "\n");
+}
+
+/**
+ * HEAD of a resource, or null when the site has nothing at the path
+ */
+async function headOrNull(siteAddress, path, provider) {
+  try {
+    const { response } = await fetchWTTPResource({
+      siteAddress,
+      path,
+      provider,
+      options: { headRequest: true, useResourceCache: false },
+    });
+    return response.head;
+  } catch (error) {
+    if (error instanceof WttpNotFoundError) return null;
+    throw error;
+  }
+}
+
+/**
+ * Compares a local file with the resource's HEAD: "new", "changed" or
+ * "unchanged". `properties` are the ones the upload would write.
+ */
+async function compareWithHead(dps, content, properties, head, chunkSize) {
+  if (!head) return "new";
+  if (BigInt(content.length) !== head.metadata.size) return "changed";
+
+  const dataPoints = await Promise.all(
+    splitIntoChunks(content, chunkSize).map((chunk) =>
+      dps.calculateAddress(chunk)
+    )
+  );
+  const { version, lastModified, header } = head.metadata;
+  const etag = computeResourceEtag(
+    { properties, size: content.length, version, lastModified, header },
+    dataPoints
+  );
+  return etag === head.etag ? "unchanged" : "changed";
+}
+
+/**
+ * Builds a sync plan for a directory: every local file marked "new", "changed"
+ * or "unchanged", plus "removed" entries for paths the last sync published
+ * that are gone locally but still exist on the site.
+ */
+export async function planSync(config) {
+  const {
+    dir,
+    siteAddress: inputSiteAddress,
+    provider,
+    stateFile = DEFAULT_STATE_FILE,
+    options = {},
+  } = config;
+  const { chunkSize } = options;
+
+  const siteAddress = await getContractAddress(inputSiteAddress, provider);
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const site = new Contract(siteAddress, WEB3_SITE_ABI, provider);
+  const dps = new Contract(await site.DPS(), DATA_POINT_STORAGE_ABI, provider);
+
+  const files = await listFiles(dir);
+  logger.log(
+    `🔍 Comparing ${files.length} file(s) in ${dir} with ${siteAddress}`
+  );
+
+  const entries = [];
+  for (const { path, file } of files) {
+    const content = await fs.readFile(file);
+    const head = await headOrNull(siteAddress, path, provider);
+
+    // The properties the upload will write: the MIME type comes from the
+    // extension, and the site's current values are kept for everything else
+    const current = head?.metadata.properties;
+    const mimeType = encodeMimeType(
+      getMimeTypeForPath(path) || current?.mimeType
+    );
+    const properties = {
+      mimeType,
+      charset: current?.charset ?? EMPTY_CODE,
+      encoding: current?.encoding ?? EMPTY_CODE,
+      language: current?.language ?? EMPTY_CODE,
+    };
+    const status = await compareWithHead(
+      dps,
+      content,
+      properties,
+      head,
+      chunkSize
+    );
+    entries.push({
+      path,
+      file,
+      mimeType,
+      properties,
+      size: content.length,
+      status,
+    });
+  }
+
+  const stateKey = `${chainId}:${siteAddress.toLowerCase()}`;
+  const state = await readState(stateFile);
+  const localPaths = new Set(files.map(({ path }) => path));
+  for (const path of state[stateKey] || []) {
+    if (localPaths.has(path)) continue;
+    const head = await headOrNull(siteAddress, path, provider);
+    if (head) {
+      entries.push({
+        path,
+        size: Number(head.metadata.size),
+        status: "removed",
+      });
+    }
+  }
+
+  return { dir, siteAddress, chainId, stateFile, stateKey, entries };
+}
+
+/**
+ * Carries out a sync plan: uploads new and changed files (HTML last, so pages
+ * never reference assets that aren't there yet), then deletes removed paths if
+ * `deleteRemoved` is set, and records the published paths in the state file.
+ */
+export async function applySync(plan, config) {
+  const { signer, deleteRemoved = false, options = {}, onProgress } = config;
+  const { siteAddress, stateFile, stateKey, entries } = plan;
+
+  const isHtml = ({ path }) => /\.html?$/i.test(path);
+  const uploads = entries
+    .filter(({ status }) => status === "new" || status === "changed")
+    .sort((a, b) => isHtml(a) - isHtml(b));
+  const removals = deleteRemoved
+    ? entries.filter(({ status }) => status === "removed")
+    : [];
+
+  const results = [];
+  for (const entry of uploads) {
+    onProgress?.({ action: "upload", ...entry });
+    const result = await putWTTPResource({
+      siteAddress,
+      path: entry.path,
+      content: await fs.readFile(entry.file),
+      ...entry.properties,
+      signer,
+      options,
+    });
+    results.push({ path: entry.path, action: "upload", ...result });
+  }
+
+  for (const entry of removals) {
+    onProgress?.({ action: "delete", ...entry });
+    const result = await deleteWTTPResource({
+      siteAddress,
+      path: entry.path,
+      signer,
+      options,
+    });
+    results.push({ path: entry.path, action: "delete", ...result });
+  }
+
+  // Removed paths that were kept stay in the state so later syncs still report them
+  const state = await readState(stateFile);
+  state[stateKey] = entries
+    .filter(({ status }) => status !== "removed" || !deleteRemoved)
+    .map(({ path }) => path)
+    .sort();
+  await writeState(stateFile, state);
+
+  return results;
+}
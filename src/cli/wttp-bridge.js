@@ -0,0 +1,228 @@
+/**
+ * wttp-bridge command line
+ *
+ * Usage:
+ *   wttp-bridge sync <dir> --site <address|ens> [--chain 137] [--rpc <url>]
+ *                          [--apply] [--delete] [--state <file>] [--verbose]
+ *   wttp-bridge estimate <file|dir> --site <address|ens> [--chain 137]
+ *                        [--rpc <url>] [--from <address>] [--path <path>]
+ *
+ * Without --apply, sync only prints the plan. Uploads and deletes are signed
+ * with the private key in the WTTP_PRIVATE_KEY environment variable; removed
+ * paths are only deleted with --delete.
+ */
+
+import { parseArgs } from "util";
+import { ethers } from "ethers";
+import { getNetworkConfig, listNetworks } from "../utils/chainRegistry.js";
+import { FailoverRpcProvider } from "../utils/failoverProvider.js";
+import { setLogLevel } from "../utils/logger.js";
+import { planSync, applySync, DEFAULT_STATE_FILE } from "./sync.js";
+import { estimatePublishCost } from "./estimate.js";
+
+const USAGE = `Usage:
+  wttp-bridge sync <dir> --site <address|ens> [options]
+  wttp-bridge estimate <file|dir> --site <address|ens> [options]
+
+Options:
+  --site <address|ens>  WTTP site address or ENS name (required)
+  --chain <id|name>     Chain of the site (default: 137)
+  --rpc <url>           RPC endpoint, instead of the chain's built-in endpoints
+  --apply               Upload new and changed files (signs with WTTP_PRIVATE_KEY)
+  --delete              With --apply, also delete removed paths
+  --state <file>        Sync state file (default: ${DEFAULT_STATE_FILE})
+  --from <address>      Publisher to estimate gas as (default: WTTP_PRIVATE_KEY's address)
+  --path <path>         Site path when estimating a single file (default: /<file name>;
+                        not allowed for a directory)
+  --verbose             Show fetcher and publisher logs`;
+
+// Plan markers per status
+const STATUS_MARKERS = {
+  new: "+",
+  changed: "~",
+  unchanged: "=",
+  removed: "-",
+};
+
+const print = (line = "") => process.stdout.write(`${line}\n`);
+
+const formatWei = (wei) => ethers.formatEther(wei);
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Provider for --rpc, or the registry's endpoints for --chain
+ */
+function createProvider(chain, rpcUrl) {
+  if (rpcUrl) {
+    return new ethers.JsonRpcProvider(rpcUrl);
+  }
+  const network = getNetworkConfig(chain);
+  if (!network) {
+    throw new Error(
+      `Unsupported chain: ${chain}. Supported chains: ${listNetworks()
+        .map(({ name, chainId }) => `${name} (${chainId})`)
+        .join(", ")}. Pass --rpc to use another chain.`
+    );
+  }
+  return new FailoverRpcProvider(network.rpcUrls, network.chainId);
+}
+
+function printPlan(plan) {
+  print(
+    `Sync plan for ${plan.siteAddress} on chain ${plan.chainId} (${plan.dir})`
+  );
+  const width = Math.max(...plan.entries.map(({ path }) => path.length), 0);
+  for (const { path, status, size } of plan.entries) {
+    print(
+      `  ${STATUS_MARKERS[status]} ${path.padEnd(width)}  ${status.padEnd(
+        9
+      )}  ${formatSize(size)}`
+    );
+  }
+
+  const count = (status) =>
+    plan.entries.filter((entry) => entry.status === status).length;
+  print(
+    `${count("new")} new, ${count("changed")} changed, ${count(
+      "unchanged"
+    )} unchanged, ${count("removed")} removed`
+  );
+}
+
+async function sync(positionals, values) {
+  const [dir] = positionals;
+  if (!dir || !values.site) {
+    throw new Error(`sync needs a directory and --site\n\n${USAGE}`);
+  }
+
+  const provider = createProvider(values.chain, values.rpc);
+  const plan = await planSync({
+    dir,
+    siteAddress: values.site,
+    provider,
+    stateFile: values.state,
+  });
+  printPlan(plan);
+
+  const pending = plan.entries.filter(({ status }) =>
+    values.delete ? status !== "unchanged" : ["new", "changed"].includes(status)
+  );
+  if (!values.apply) {
+    if (pending.length > 0) print("Run with --apply to publish.");
+    return;
+  }
+  if (pending.length === 0) {
+    print("Nothing to publish.");
+    return;
+  }
+
+  const privateKey = process.env.WTTP_PRIVATE_KEY;
+  if (!privateKey) {
+    throw new Error("Set WTTP_PRIVATE_KEY to sign uploads and deletes");
+  }
+  const signer = new ethers.Wallet(privateKey, provider);
+
+  const results = await applySync(plan, {
+    signer,
+    deleteRemoved: values.delete,
+    onProgress: ({ action, path }) =>
+      print(`${action === "delete" ? "Deleting" : "Uploading"} ${path}`),
+  });
+  const transactions = results.reduce(
+    (total, { receipts, receipt }) =>
+      total + (receipts ? receipts.length : receipt ? 1 : 0),
+    0
+  );
+  print(`Done: ${results.length} path(s), ${transactions} transaction(s).`);
+}
+
+async function estimate(positionals, values) {
+  const [target] = positionals;
+  if (!target || !values.site) {
+    throw new Error(
+      `estimate needs a file or directory and --site\n\n${USAGE}`
+    );
+  }
+
+  const provider = createProvider(values.chain, values.rpc);
+  const privateKey = process.env.WTTP_PRIVATE_KEY;
+  const from =
+    values.from || (privateKey ? new ethers.Wallet(privateKey).address : null);
+  const { files, totals } = await estimatePublishCost({
+    target,
+    siteAddress: values.site,
+    provider,
+    from,
+    path: values.path,
+  });
+
+  print(`Publish estimate for ${values.site} (${target}), in native token`);
+  const width = Math.max(...files.map(({ path }) => path.length), 0);
+  for (const file of files) {
+    print(
+      `  ${file.path.padEnd(width)}  ${file.chunksToSend}/${
+        file.chunks
+      } chunk(s)  ${file.transactions} tx  royalty ${formatWei(
+        file.royalty
+      )}  gas ${file.gas}${file.approximateGas ? "*" : ""} (${formatWei(
+        file.gasCost
+      )})`
+    );
+  }
+  print(
+    `Total: ${totals.transactions} transaction(s), royalties ${formatWei(
+      totals.royalty
+    )} + gas ${formatWei(totals.gasCost)} = ${formatWei(totals.total)}`
+  );
+  if (totals.approximateGas) {
+    print(
+      from
+        ? "* approximate: the site could not simulate these writes"
+        : "* approximate: pass --from or set WTTP_PRIVATE_KEY to simulate writes"
+    );
+  }
+}
+
+// Handlers by command name
+const COMMANDS = { sync, estimate };
+
+async function main() {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+      site: { type: "string" },
+      chain: { type: "string", default: "137" },
+      rpc: { type: "string" },
+      apply: { type: "boolean", default: false },
+      delete: { type: "boolean", default: false },
+      state: { type: "string", default: DEFAULT_STATE_FILE },
+      from: { type: "string" },
+      path: { type: "string" },
+      verbose: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  // The library logs every step; keep the output to the plan unless asked
+  setLogLevel(values.verbose ? "info" : "error");
+
+  const [command, ...rest] = positionals;
+  if (values.help || !command) {
+    print(USAGE);
+    return;
+  }
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+  await COMMANDS[command](rest, values);
+}
+
+main().catch((error) => {
+  process.stderr.write(`❌ ${error.message}\n`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,282 @@
+/**
+ * Chain Registry
+ *
+ * Runtime registry of the networks the fetcher can talk to. Each network has a
+ * canonical name, a chain ID, optional aliases, a list of RPC endpoints and the
+ * addresses of the ENS registry and Multicall3 contracts on that chain.
+ *
+ * Usage:
+ * ```javascript
+ * import { registerNetwork, loadNetworkConfig } from './chainRegistry.js';
+ *
+ * registerNetwork({
+ *   name: 'base',
+ *   chainId: 8453,
+ *   aliases: ['base-mainnet'],
+ *   rpcUrls: ['https://mainnet.base.org', 'https://base-rpc.publicnode.com'],
+ *   multicallAddress: '0xcA11bde05977b3631167028862bE2a173976CA11',
+ * });
+ *
+ * // Or load several networks from JSON (object, JSON string or URL)
+ * await loadNetworkConfig('/networks.json');
+ * ```
+ *
+ * JSON config format:
+ * ```json
+ * { "networks": [{ "name": "base", "chainId": 8453, "rpcUrls": ["https://mainnet.base.org"] }] }
+ * ```
+ */
+
+import { logger } from "./logger.js";
+
+// Multicall3 is deployed at the same address on nearly every EVM chain
+export const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+// Registered networks keyed by canonical name
+const networksByName = new Map();
+
+// Lookup of lowercase names, aliases and chain IDs to canonical names
+const networkLookup = new Map();
+
+// Listeners notified with a network name whenever it is replaced or removed
+const changeListeners = new Set();
+
+// Built-in networks, RPC endpoints listed in order of preference
+const DEFAULT_NETWORKS = [
+  {
+    name: "polygon",
+    chainId: 137,
+    aliases: ["matic", "polygon-mainnet"],
+    rpcUrls: [
+      "https://polygon-bor-rpc.publicnode.com",
+      "https://polygon-rpc.com",
+      "https://polygon.llamarpc.com",
+      "https://1rpc.io/matic",
+    ],
+    multicallAddress: MULTICALL3_ADDRESS,
+  },
+  {
+    name: "ethereum",
+    chainId: 1,
+    aliases: ["mainnet", "eth"],
+    rpcUrls: [
+      "https://eth.llamarpc.com",
+      "https://ethereum-rpc.publicnode.com",
+      "https://cloudflare-eth.com",
+      "https://1rpc.io/eth",
+    ],
+    ens: {
+      registryAddress: "0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e",
+      publicResolverAddress: "0x231b0Ee14048e9dCcD1d247744d114a4EB5E8E63",
+    },
+    multicallAddress: MULTICALL3_ADDRESS,
+  },
+  {
+    name: "sepolia",
+    chainId: 11155111,
+    rpcUrls: [
+      "https://ethereum-sepolia-rpc.publicnode.com",
+      "https://rpc.sepolia.org",
+      "https://1rpc.io/sepolia",
+    ],
+    ens: {
+      registryAddress: "0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e",
+      publicResolverAddress: "0x8FADE66B79cC9f707aB26799354482EB93a5B7dD",
+    },
+    multicallAddress: MULTICALL3_ADDRESS,
+  },
+  {
+    name: "localhost",
+    chainId: 31337,
+    aliases: ["hardhat"],
+    rpcUrls: ["http://127.0.0.1:8545"],
+    // Multicall3 is not deployed on a fresh hardhat node
+    multicallAddress: null,
+  },
+];
+
+/**
+ * Validates a network definition and fills in defaults
+ */
+function normalizeNetworkConfig(config) {
+  if (!config || typeof config !== "object") {
+    throw new Error("Network config must be an object");
+  }
+
+  const { name, chainId, aliases = [], rpcUrls, rpcUrl } = config;
+  if (typeof name !== "string" || !name.trim()) {
+    throw new Error("Network config requires a name");
+  }
+  if (/^\d+$/.test(name)) {
+    throw new Error(`Network name ${name} must not be numeric`);
+  }
+
+  const numericChainId = Number(chainId);
+  if (!Number.isSafeInteger(numericChainId) || numericChainId <= 0) {
+    throw new Error(`Network ${name} has an invalid chainId: ${chainId}`);
+  }
+
+  const urls = rpcUrls || (rpcUrl ? [rpcUrl] : []);
+  if (!Array.isArray(urls) || urls.length === 0) {
+    throw new Error(`Network ${name} requires at least one RPC URL`);
+  }
+
+  return {
+    name: name.trim().toLowerCase(),
+    chainId: numericChainId,
+    aliases: aliases.map((alias) => alias.trim().toLowerCase()),
+    rpcUrls: [...urls],
+    ens: config.ens || null,
+    multicallAddress:
+      config.multicallAddress === undefined
+        ? MULTICALL3_ADDRESS
+        : config.multicallAddress,
+  };
+}
+
+/**
+ * Adds a network to the registry, replacing any network with the same name or chain ID
+ */
+function addNetwork(config) {
+  const network = normalizeNetworkConfig(config);
+
+  // Aliases may not shadow a network that is not being replaced
+  const replacedChain = networkLookup.get(String(network.chainId));
+  for (const alias of network.aliases) {
+    const owner = networkLookup.get(alias);
+    if (owner && owner !== network.name && owner !== replacedChain) {
+      throw new Error(`Alias ${alias} is already used by network ${owner}`);
+    }
+  }
+
+  // Replacing a network drops its old aliases and chain ID mapping
+  const previous = networksByName.get(network.name);
+  if (previous) {
+    unregisterNetwork(previous.name);
+  }
+
+  // A chain ID maps to a single network; re-registering it under a new name replaces the old one
+  const existingForChain = networkLookup.get(String(network.chainId));
+  if (existingForChain) {
+    unregisterNetwork(existingForChain);
+  }
+
+  networksByName.set(network.name, network);
+  networkLookup.set(network.name, network.name);
+  networkLookup.set(String(network.chainId), network.name);
+  for (const alias of network.aliases) {
+    networkLookup.set(alias, network.name);
+  }
+  return network;
+}
+
+/**
+ * Registers (or replaces) a network. Returns the normalized config.
+ */
+export function registerNetwork(config) {
+  const network = addNetwork(config);
+  logger.log(
+    `🧭 Registered network ${network.name} (chain ${network.chainId}, ${network.rpcUrls.length} RPC endpoint(s))`
+  );
+  return network;
+}
+
+/**
+ * Removes a network and its aliases from the registry
+ */
+export function unregisterNetwork(nameOrChainId) {
+  const name = networkLookup.get(String(nameOrChainId).toLowerCase());
+  if (!name) return false;
+
+  for (const [key, value] of Array.from(networkLookup)) {
+    if (value === name) networkLookup.delete(key);
+  }
+  networksByName.delete(name);
+  changeListeners.forEach((listener) => listener(name));
+  return true;
+}
+
+/**
+ * Subscribes to network replacement/removal (e.g. to drop cached providers).
+ * Returns an unsubscribe function.
+ */
+export function onNetworkChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+/**
+ * Loads network definitions from an object, array, JSON string or URL
+ */
+export async function loadNetworkConfig(source) {
+  let config = source;
+
+  if (typeof source === "string") {
+    const trimmed = source.trim();
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+      config = JSON.parse(trimmed);
+    } else {
+      logger.log(`🧭 Loading network config from ${source}`);
+      const response = await fetch(source);
+      if (!response.ok) {
+        throw new Error(
+          `Failed to load network config from ${source}: ${response.status}`
+        );
+      }
+      config = await response.json();
+    }
+  }
+
+  const networks = Array.isArray(config) ? config : config?.networks;
+  if (!Array.isArray(networks)) {
+    throw new Error(
+      'Network config must be an array or an object with a "networks" array'
+    );
+  }
+
+  return networks.map(registerNetwork);
+}
+
+/**
+ * Gets a network by name, alias or chain ID (number or numeric string).
+ * Returns undefined for unknown networks.
+ */
+export function getNetworkConfig(nameOrChainId) {
+  if (nameOrChainId === undefined || nameOrChainId === null) {
+    return undefined;
+  }
+  const name = networkLookup.get(String(nameOrChainId).trim().toLowerCase());
+  return name ? networksByName.get(name) : undefined;
+}
+
+/**
+ * Gets the canonical network name for a chain ID, throwing for unknown chains
+ */
+export function getNetworkNameForChain(chainId) {
+  const network = getNetworkConfig(chainId);
+  if (!network) {
+    throw new Error(
+      `Unsupported chain: ${chainId}. Supported chains: ${listNetworks()
+        .map(({ name, chainId }) => `${name} (${chainId})`)
+        .join(", ")}. Register it with registerNetwork().`
+    );
+  }
+  return network.name;
+}
+
+/**
+ * Lists all registered networks
+ */
+export function listNetworks() {
+  return Array.from(networksByName.values());
+}
+
+/**
+ * Restore the built-in networks (useful for testing)
+ */
+export function resetNetworks() {
+  listNetworks().forEach(({ name }) => unregisterNetwork(name));
+  DEFAULT_NETWORKS.forEach(addNetwork);
+}
+
+DEFAULT_NETWORKS.forEach(addNetwork);
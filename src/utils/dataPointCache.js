@@ -0,0 +1,320 @@
+/**
+ * Content-addressed Datapoint Cache
+ *
+ * Datapoint addresses are content hashes (see IDataPointStorage.calculateAddress),
+ * so a chunk read once never changes. This cache keeps chunks keyed by address with
+ * a total size limit and least-recently-used eviction.
+ *
+ * Storage is pluggable. A store is an object with async methods:
+ *   get(key)            -> Uint8Array | undefined
+ *   set(key, data, meta) where meta is { size, lastAccess }
+ *   touch(key, meta)    -> update meta only
+ *   delete(key)
+ *   entries()           -> [{ key, size, lastAccess }]
+ *   clear()
+ *
+ * Usage:
+ * ```javascript
+ * import { createDataPointCache, createIndexedDbDataPointStore } from './dataPointCache.js';
+ *
+ * const cache = createDataPointCache({
+ *   store: createIndexedDbDataPointStore(),
+ *   maxBytes: 100 * 1024 * 1024,
+ * });
+ * ```
+ */
+
+import { logger } from "./logger.js";
+
+// Default total size of cached chunks
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+const IDB_NAME = "wttp-datapoint-cache";
+const IDB_VERSION = 1;
+const IDB_CHUNKS = "chunks";
+const IDB_META = "meta";
+
+/**
+ * Normalizes a datapoint address for use as a cache key
+ */
+function toCacheKey(dataPointAddress) {
+  return dataPointAddress.toString().toLowerCase();
+}
+
+/**
+ * In-memory store, used where IndexedDB is unavailable (e.g. Node)
+ */
+export function createMemoryDataPointStore() {
+  const chunks = new Map();
+  const meta = new Map();
+
+  return {
+    async get(key) {
+      return chunks.get(key);
+    },
+    async set(key, data, entryMeta) {
+      chunks.set(key, data);
+      meta.set(key, entryMeta);
+    },
+    async touch(key, entryMeta) {
+      if (meta.has(key)) meta.set(key, entryMeta);
+    },
+    async delete(key) {
+      chunks.delete(key);
+      meta.delete(key);
+    },
+    async entries() {
+      return Array.from(meta, ([key, entryMeta]) => ({ key, ...entryMeta }));
+    },
+    async clear() {
+      chunks.clear();
+      meta.clear();
+    },
+  };
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * IndexedDB-backed store for browsers. Chunk bytes and LRU metadata live in
+ * separate object stores so touching an entry does not rewrite its bytes.
+ */
+export function createIndexedDbDataPointStore(options = {}) {
+  const { dbName = IDB_NAME, idb = globalThis.indexedDB } = options;
+
+  if (!idb) {
+    throw new Error("IndexedDB is not available in this environment");
+  }
+
+  let dbPromise;
+  const openDb = () => {
+    if (!dbPromise) {
+      const request = idb.open(dbName, IDB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(IDB_CHUNKS)) {
+          db.createObjectStore(IDB_CHUNKS);
+        }
+        if (!db.objectStoreNames.contains(IDB_META)) {
+          db.createObjectStore(IDB_META);
+        }
+      };
+      dbPromise = idbRequest(request);
+    }
+    return dbPromise;
+  };
+
+  const withStores = async (mode, fn) => {
+    const db = await openDb();
+    const tx = db.transaction([IDB_CHUNKS, IDB_META], mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    const result = await fn(
+      tx.objectStore(IDB_CHUNKS),
+      tx.objectStore(IDB_META)
+    );
+    await done;
+    return result;
+  };
+
+  return {
+    async get(key) {
+      return withStores("readonly", (chunks) => idbRequest(chunks.get(key)));
+    },
+    async set(key, data, entryMeta) {
+      await withStores("readwrite", (chunks, meta) => {
+        chunks.put(data, key);
+        meta.put(entryMeta, key);
+      });
+    },
+    async touch(key, entryMeta) {
+      await withStores("readwrite", (_, meta) => {
+        meta.put(entryMeta, key);
+      });
+    },
+    async delete(key) {
+      await withStores("readwrite", (chunks, meta) => {
+        chunks.delete(key);
+        meta.delete(key);
+      });
+    },
+    async entries() {
+      return withStores("readonly", async (_, meta) => {
+        const [keys, values] = await Promise.all([
+          idbRequest(meta.getAllKeys()),
+          idbRequest(meta.getAll()),
+        ]);
+        return keys.map((key, i) => ({ key, ...values[i] }));
+      });
+    },
+    async clear() {
+      await withStores("readwrite", (chunks, meta) => {
+        chunks.clear();
+        meta.clear();
+      });
+    },
+  };
+}
+
+/**
+ * Creates a datapoint cache over a store with size-limited LRU eviction.
+ * Store failures are logged and treated as cache misses so reads never fail
+ * because of the cache.
+ */
+export function createDataPointCache(options = {}) {
+  const {
+    store = createMemoryDataPointStore(),
+    maxBytes = DEFAULT_MAX_BYTES,
+    maxEntries = Infinity,
+  } = options;
+
+  // Index of key -> { size, lastAccess }, loaded from the store on first use
+  let indexPromise;
+  let totalBytes = 0;
+
+  // Writes, deletes and evictions run one at a time so the store and index
+  // agree; reads run 6 at a time and may each add a chunk
+  let writeQueue = Promise.resolve();
+  const exclusive = (fn) => {
+    const run = writeQueue.then(fn);
+    writeQueue = run.catch(() => {});
+    return run;
+  };
+
+  const loadIndex = () => {
+    if (!indexPromise) {
+      indexPromise = store
+        .entries()
+        .catch((error) => {
+          logger.warn("Failed to load datapoint cache index:", error);
+          return [];
+        })
+        .then((entries) => {
+          const index = new Map();
+          for (const { key, size, lastAccess } of entries) {
+            index.set(key, { size, lastAccess });
+            totalBytes += size;
+          }
+          logger.log(
+            `💽 Datapoint cache loaded: ${index.size} chunks (${totalBytes} bytes)`
+          );
+          return index;
+        });
+    }
+    return indexPromise;
+  };
+
+  const evict = async (index) => {
+    if (totalBytes <= maxBytes && index.size <= maxEntries) return;
+
+    const byAge = Array.from(index).sort(
+      ([, a], [, b]) => a.lastAccess - b.lastAccess
+    );
+    for (const [key, { size }] of byAge) {
+      if (totalBytes <= maxBytes && index.size <= maxEntries) break;
+      index.delete(key);
+      totalBytes -= size;
+      await store.delete(key);
+      logger.log(`🧹 Evicted datapoint ${key.substring(0, 10)}... from cache`);
+    }
+  };
+
+  return {
+    async get(dataPointAddress) {
+      const key = toCacheKey(dataPointAddress);
+      try {
+        const index = await loadIndex();
+        if (!index.has(key)) return undefined;
+
+        const data = await store.get(key);
+        // The entry may have been evicted while the bytes were read
+        if (!index.has(key)) return data || undefined;
+        if (!data) {
+          // Metadata without bytes; drop the stale entry from both
+          await exclusive(async () => {
+            if (!index.has(key)) return;
+            totalBytes -= index.get(key).size;
+            index.delete(key);
+            await store.delete(key);
+          });
+          return undefined;
+        }
+
+        const entryMeta = { size: data.length, lastAccess: Date.now() };
+        totalBytes += data.length - index.get(key).size;
+        index.set(key, entryMeta);
+        await exclusive(async () => {
+          // Don't bring back metadata for a chunk evicted meanwhile
+          if (index.has(key)) await store.touch(key, entryMeta);
+        });
+        return data;
+      } catch (error) {
+        logger.warn(`Datapoint cache read failed for ${key}:`, error);
+        return undefined;
+      }
+    },
+
+    async set(dataPointAddress, data) {
+      const key = toCacheKey(dataPointAddress);
+      if (data.length > maxBytes) return;
+      try {
+        await exclusive(async () => {
+          const index = await loadIndex();
+          if (index.has(key)) {
+            totalBytes -= index.get(key).size;
+          }
+
+          const entryMeta = { size: data.length, lastAccess: Date.now() };
+          index.set(key, entryMeta);
+          totalBytes += data.length;
+          await store.set(key, data, entryMeta);
+          await evict(index);
+        });
+      } catch (error) {
+        logger.warn(`Datapoint cache write failed for ${key}:`, error);
+      }
+    },
+
+    async delete(dataPointAddress) {
+      const key = toCacheKey(dataPointAddress);
+      try {
+        await exclusive(async () => {
+          const index = await loadIndex();
+          if (index.has(key)) {
+            totalBytes -= index.get(key).size;
+            index.delete(key);
+          }
+          await store.delete(key);
+        });
+      } catch (error) {
+        logger.warn(`Datapoint cache delete failed for ${key}:`, error);
+      }
+    },
+
+    async clear() {
+      await exclusive(async () => {
+        const index = await loadIndex();
+        index.clear();
+        totalBytes = 0;
+        await store.clear();
+      });
+      logger.log("🗑️ Datapoint cache cleared");
+    },
+
+    async stats() {
+      const index = await loadIndex();
+      return { entries: index.size, totalBytes, maxBytes, maxEntries };
+    },
+  };
+}
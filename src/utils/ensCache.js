@@ -0,0 +1,413 @@
+/**
+ * ENS Resolution Cache
+ *
+ * Keeps the site each ENS name resolved to for a limited time. Entries are keyed
+ * by normalized name and the registry that was asked (ensCacheKey), so the same
+ * name on mainnet, Sepolia or an L2 registry such as Basenames is cached
+ * separately. Resolutions expire after `ttl`; names a registry doesn't resolve
+ * (no resolver, no address) are remembered for the shorter `negativeTtl` so a
+ * missing name isn't looked up on every request. Entries record the resolver
+ * that answered, so the fetcher can notice when a name is moved to another
+ * resolver before its entry expires.
+ *
+ * Reads are synchronous from an in-memory index, which is loaded from a
+ * pluggable store on first use and written through on every change. A store is
+ * an object with async methods:
+ *   entries()         -> [{ key, ...entry }]
+ *   set(key, entry)
+ *   delete(key)
+ *   clear()
+ *
+ * Usage:
+ * ```javascript
+ * import { createEnsCache, createLocalStorageEnsStore, ensCacheKey } from './ensCache.js';
+ *
+ * const cache = createEnsCache({
+ *   store: createLocalStorageEnsStore(),
+ *   ttl: 10 * 60 * 1000,
+ *   negativeTtl: 30 * 1000,
+ * });
+ * await cache.ready();
+ * const site = cache.get(ensCacheKey('example.eth', 1, registryAddress));
+ * ```
+ */
+
+import { logger } from "./logger.js";
+
+// Default lifetime of a resolution, in milliseconds
+const DEFAULT_TTL = 60 * 60 * 1000;
+// Default lifetime of a failed lookup
+const DEFAULT_NEGATIVE_TTL = 60 * 1000;
+// How often a cached name's resolver is checked against the registry
+const DEFAULT_RESOLVER_CHECK_INTERVAL = 5 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 500;
+
+const STORAGE_PREFIX = "wttp-ens:";
+
+const IDB_NAME = "wttp-ens-cache";
+const IDB_VERSION = 1;
+const IDB_ENTRIES = "entries";
+
+/**
+ * Cache key for a name looked up in the ENS registry at `registryAddress` on
+ * chain `chainId`
+ */
+export function ensCacheKey(name, chainId, registryAddress) {
+  return `${name}@${chainId}:${registryAddress.toLowerCase()}`;
+}
+
+// The name part of a cache key
+const nameOfKey = (key) =>
+  key.includes("@") ? key.slice(0, key.lastIndexOf("@")) : key;
+
+/**
+ * In-memory store, used where neither localStorage nor IndexedDB is available
+ * (e.g. Node)
+ */
+export function createMemoryEnsStore() {
+  const entries = new Map();
+
+  return {
+    async entries() {
+      return Array.from(entries, ([key, entry]) => ({ key, ...entry }));
+    },
+    async set(key, entry) {
+      entries.set(key, entry);
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async clear() {
+      entries.clear();
+    },
+  };
+}
+
+/**
+ * localStorage-backed store for browsers, one item per name under a prefix
+ */
+export function createLocalStorageEnsStore(options = {}) {
+  const { storage = globalThis.localStorage, prefix = STORAGE_PREFIX } =
+    options;
+
+  if (!storage) {
+    throw new Error("localStorage is not available in this environment");
+  }
+
+  const keys = () => {
+    const result = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key?.startsWith(prefix)) result.push(key);
+    }
+    return result;
+  };
+
+  return {
+    async entries() {
+      const result = [];
+      for (const key of keys()) {
+        try {
+          result.push({
+            key: key.slice(prefix.length),
+            ...JSON.parse(storage.getItem(key)),
+          });
+        } catch (error) {
+          // Unreadable item, e.g. written by another app; drop it
+          storage.removeItem(key);
+        }
+      }
+      return result;
+    },
+    async set(key, entry) {
+      storage.setItem(prefix + key, JSON.stringify(entry));
+    },
+    async delete(key) {
+      storage.removeItem(prefix + key);
+    },
+    async clear() {
+      for (const key of keys()) {
+        storage.removeItem(key);
+      }
+    },
+  };
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * IndexedDB-backed store for browsers
+ */
+export function createIndexedDbEnsStore(options = {}) {
+  const { dbName = IDB_NAME, idb = globalThis.indexedDB } = options;
+
+  if (!idb) {
+    throw new Error("IndexedDB is not available in this environment");
+  }
+
+  let dbPromise;
+  const openDb = () => {
+    if (!dbPromise) {
+      const request = idb.open(dbName, IDB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(IDB_ENTRIES)) {
+          db.createObjectStore(IDB_ENTRIES);
+        }
+      };
+      dbPromise = idbRequest(request);
+    }
+    return dbPromise;
+  };
+
+  const withStore = async (mode, fn) => {
+    const db = await openDb();
+    const tx = db.transaction(IDB_ENTRIES, mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    const result = await fn(tx.objectStore(IDB_ENTRIES));
+    await done;
+    return result;
+  };
+
+  return {
+    async entries() {
+      return withStore("readonly", async (store) => {
+        const [keys, values] = await Promise.all([
+          idbRequest(store.getAllKeys()),
+          idbRequest(store.getAll()),
+        ]);
+        return keys.map((key, i) => ({ key, ...values[i] }));
+      });
+    },
+    async set(key, entry) {
+      await withStore("readwrite", (store) => {
+        store.put(entry, key);
+      });
+    },
+    async delete(key) {
+      await withStore("readwrite", (store) => {
+        store.delete(key);
+      });
+    },
+    async clear() {
+      await withStore("readwrite", (store) => {
+        store.clear();
+      });
+    },
+  };
+}
+
+/**
+ * Creates an ENS cache over a store. Entries are
+ * { address, chainId, source, resolver, resolvedOn, registryAddress,
+ * negative, error, cachedAt, checkedAt, expiresAt }; negative entries carry
+ * the error and the registry that didn't resolve the name. Store failures are
+ * logged and never fail a lookup.
+ *
+ * @param options  { store, ttl, negativeTtl, resolverCheckInterval, maxEntries }
+ */
+export function createEnsCache(options = {}) {
+  const {
+    store = createMemoryEnsStore(),
+    ttl = DEFAULT_TTL,
+    negativeTtl = DEFAULT_NEGATIVE_TTL,
+    resolverCheckInterval = DEFAULT_RESOLVER_CHECK_INTERVAL,
+    maxEntries = DEFAULT_MAX_ENTRIES,
+  } = options;
+
+  const index = new Map();
+  let loadPromise;
+
+  // Store writes never throw; the returned promise settles once it's done
+  const persist = (operation, key) =>
+    operation().catch((error) => {
+      logger.warn(`ENS cache store failed for ${key}:`, error);
+    });
+
+  const remove = (key) => {
+    if (!index.delete(key)) return false;
+    persist(() => store.delete(key), key);
+    return true;
+  };
+
+  const isExpired = (entry, now = Date.now()) => entry.expiresAt <= now;
+
+  // Map order is cachedAt order, so the first entries are the oldest
+  const trim = () => {
+    for (const oldKey of index.keys()) {
+      if (index.size <= maxEntries) break;
+      remove(oldKey);
+    }
+  };
+
+  const put = (key, entry) => {
+    index.delete(key);
+    index.set(key, entry);
+    persist(() => store.set(key, entry), key);
+    trim();
+    return entry;
+  };
+
+  const load = () => {
+    if (!loadPromise) {
+      loadPromise = store
+        .entries()
+        .catch((error) => {
+          logger.warn("Failed to load ENS cache:", error);
+          return [];
+        })
+        .then((entries) => {
+          const now = Date.now();
+          const loaded = [];
+          for (const { key, ...entry } of entries) {
+            // Entries put while loading are newer than the stored ones
+            if (index.has(key)) continue;
+            if (isExpired(entry, now)) {
+              persist(() => store.delete(key), key);
+            } else {
+              loaded.push({ key, entry });
+            }
+          }
+
+          // Merge with the entries put while loading, oldest first
+          const merged = [
+            ...loaded,
+            ...Array.from(index, ([key, entry]) => ({ key, entry })),
+          ].sort((a, b) => a.entry.cachedAt - b.entry.cachedAt);
+          index.clear();
+          for (const { key, entry } of merged) {
+            index.set(key, entry);
+          }
+          trim();
+          logger.log(`💽 ENS cache loaded: ${index.size} entries`);
+        });
+    }
+    return loadPromise;
+  };
+
+  return {
+    ttl,
+    negativeTtl,
+    resolverCheckInterval,
+
+    /**
+     * Resolves once entries persisted by earlier page loads are available
+     */
+    ready() {
+      return load();
+    },
+
+    /**
+     * The live entry for a key, or undefined. Expired entries are dropped.
+     */
+    get(key) {
+      load();
+      const entry = index.get(key);
+      if (!entry) return undefined;
+      if (isExpired(entry)) {
+        remove(key);
+        return undefined;
+      }
+      return entry;
+    },
+
+    /**
+     * Caches a resolution. `site` is { address, chainId, source, resolver,
+     * resolvedOn, registryAddress }; `entryTtl` overrides the cache's ttl.
+     */
+    set(key, site, entryTtl = ttl) {
+      load();
+      const now = Date.now();
+      return put(key, {
+        address: site.address,
+        chainId: site.chainId ?? null,
+        source: site.source ?? "addr",
+        resolver: site.resolver ?? null,
+        resolvedOn: site.resolvedOn ?? null,
+        registryAddress: site.registryAddress ?? null,
+        negative: false,
+        error: null,
+        cachedAt: now,
+        checkedAt: now,
+        expiresAt: now + entryTtl,
+      });
+    },
+
+    /**
+     * Remembers that a name doesn't resolve, for negativeTtl. `lookup` is the
+     * { resolvedOn, registryAddress } that was asked.
+     */
+    setNegative(key, error, lookup = {}, entryTtl = negativeTtl) {
+      load();
+      const now = Date.now();
+      return put(key, {
+        address: null,
+        chainId: null,
+        source: null,
+        resolver: null,
+        resolvedOn: lookup.resolvedOn ?? null,
+        registryAddress: lookup.registryAddress ?? null,
+        negative: true,
+        error: error?.message || String(error),
+        cachedAt: now,
+        checkedAt: now,
+        expiresAt: now + entryTtl,
+      });
+    },
+
+    /**
+     * Records that an entry's resolver was checked and hasn't changed
+     */
+    touch(key) {
+      const entry = index.get(key);
+      if (!entry) return;
+      const touched = { ...entry, checkedAt: Date.now() };
+      index.set(key, touched);
+      persist(() => store.set(key, touched), key);
+    },
+
+    /**
+     * Forgets an entry. Returns true if it was cached.
+     */
+    delete(key) {
+      load();
+      return remove(key);
+    },
+
+    /**
+     * Live entries as [{ key, name, ...entry }], oldest first
+     */
+    entries() {
+      load();
+      const now = Date.now();
+      const result = [];
+      for (const [key, entry] of Array.from(index)) {
+        if (isExpired(entry, now)) {
+          remove(key);
+        } else {
+          result.push({ key, name: nameOfKey(key), ...entry });
+        }
+      }
+      return result;
+    },
+
+    async clear() {
+      await load();
+      index.clear();
+      await persist(() => store.clear(), "all entries");
+      logger.log("🗑️ ENS resolution cache cleared");
+    },
+  };
+}
@@ -0,0 +1,275 @@
+/**
+ * ENS Name Resolution
+ *
+ * Spec-compliant ENS lookups for the fetcher: names are normalized with
+ * ENSIP-15, resolvers are found with ENSIP-10 (so a wildcard resolver on a
+ * parent name answers for its subnames through `resolve()`), and resolvers that
+ * keep their records offchain are followed through EIP-3668 CCIP-Read.
+ *
+ * CCIP-Read requests go to a pluggable gateway, a function that receives
+ * { sender, urls, data } and resolves to the gateway's response bytes. The
+ * default follows EIP-3668 over HTTP; tests can install a local stand-in.
+ *
+ * Usage:
+ * ```javascript
+ * import { normalizeEnsDomain, getEnsResolver, setCcipReadGateway } from './ensResolver.js';
+ *
+ * const name = normalizeEnsDomain('Sub.Example.ETH'); // 'sub.example.eth'
+ * const resolver = await getEnsResolver(provider, name, { registryAddress });
+ * const address = await resolver.read('addr');
+ * const site = await resolver.read('text', 'wttp');
+ *
+ * setCcipReadGateway(async ({ sender, data }) => myLocalGateway(sender, data));
+ * ```
+ */
+
+import { ethers, Contract, FetchRequest } from "ethers";
+import { WttpEnsError } from "./wttpErrors.js";
+import { logger } from "./logger.js";
+
+// ENS Registry ABI (minimal - just what we need)
+export const ENS_REGISTRY_ABI = [
+  "function resolver(bytes32 node) external view returns (address)",
+];
+
+// Resolver record functions, called directly or wrapped in resolve()
+const RESOLVER_RECORDS = new ethers.Interface([
+  "function addr(bytes32 node) external view returns (address)",
+  "function text(bytes32 node, string key) external view returns (string)",
+  "function contenthash(bytes32 node) external view returns (bytes)",
+]);
+
+const EXTENDED_RESOLVER = new ethers.Interface([
+  "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+  "function resolve(bytes name, bytes data) view returns (bytes)",
+]);
+const EXTENDED_RESOLVER_INTERFACE_ID = "0x9061b923";
+
+const OFFCHAIN_LOOKUP = new ethers.Interface([
+  "error OffchainLookup(address sender, string[] urls, bytes callData, bytes4 callbackFunction, bytes extraData)",
+]);
+const OFFCHAIN_LOOKUP_SELECTOR =
+  OFFCHAIN_LOOKUP.getError("OffchainLookup").selector;
+
+// EIP-3668 recommends a limit on chained lookups
+const MAX_CCIP_LOOKUPS = 4;
+
+/**
+ * Default CCIP-Read gateway: tries each URL in order as EIP-3668 describes,
+ * with GET when the URL template has {data} and POST otherwise. A 4xx
+ * response stops the search; other failures move on to the next URL.
+ */
+export async function fetchCcipReadGateway({ sender, urls, data }) {
+  const failures = [];
+  for (const template of urls) {
+    const url = template
+      .replaceAll("{sender}", sender.toLowerCase())
+      .replaceAll("{data}", data);
+    const request = new FetchRequest(url);
+    if (!template.includes("{data}")) {
+      request.body = JSON.stringify({ data, sender });
+      request.setHeader("content-type", "application/json");
+    }
+
+    let response;
+    try {
+      response = await request.send();
+    } catch (error) {
+      failures.push(`${url}: ${error?.message || error}`);
+      continue;
+    }
+
+    if (response.ok()) {
+      const result = response.bodyJson?.data;
+      if (ethers.isHexString(result)) return result;
+      failures.push(`${url}: response has no data`);
+      continue;
+    }
+    failures.push(`${url}: HTTP ${response.statusCode}`);
+    if (response.statusCode >= 400 && response.statusCode < 500) break;
+  }
+  throw new Error(`CCIP-Read lookup failed: ${failures.join("; ")}`);
+}
+
+let ccipReadGateway = fetchCcipReadGateway;
+
+/**
+ * Replaces the CCIP-Read gateway used by ENS lookups; null restores the
+ * default HTTP gateway
+ */
+export function setCcipReadGateway(gateway) {
+  ccipReadGateway = gateway || fetchCcipReadGateway;
+}
+
+/**
+ * Normalizes an ENS name with ENSIP-15, so names that look alike resolve to
+ * the same node. Invalid names throw a WttpEnsError.
+ */
+export function normalizeEnsDomain(domain) {
+  if (typeof domain !== "string") {
+    throw new Error("ENS domain must be a string");
+  }
+  try {
+    return ethers.ensNormalize(domain.trim());
+  } catch (error) {
+    throw new WttpEnsError(
+      `Invalid ENS name ${domain}: ${error?.shortMessage || error?.message}`,
+      { ensName: domain, cause: error }
+    );
+  }
+}
+
+/**
+ * Implements the ENS namehash algorithm
+ * Converts a domain name like "vitalik.eth" into a bytes32 hash
+ */
+export function namehash(name) {
+  if (!name) return ethers.ZeroHash;
+
+  let node = ethers.ZeroHash;
+  if (name !== "") {
+    const labels = name.split(".");
+    for (let i = labels.length - 1; i >= 0; i--) {
+      const labelHash = ethers.keccak256(ethers.toUtf8Bytes(labels[i]));
+      node = ethers.keccak256(ethers.concat([node, labelHash]));
+    }
+  }
+  return node;
+}
+
+function getRevertData(error) {
+  const data = error?.data ?? error?.info?.error?.data;
+  return ethers.isHexString(data) ? data : null;
+}
+
+/**
+ * eth_call that follows OffchainLookup reverts through the gateway and calls
+ * the resolver's callback with the gateway's answer
+ */
+async function callWithCcipRead(provider, to, data, gateway) {
+  let callData = data;
+  for (let lookups = 0; ; lookups++) {
+    try {
+      return await provider.call({ to, data: callData });
+    } catch (error) {
+      const revertData = getRevertData(error);
+      if (revertData?.slice(0, 10).toLowerCase() !== OFFCHAIN_LOOKUP_SELECTOR) {
+        throw error;
+      }
+      if (lookups >= MAX_CCIP_LOOKUPS) {
+        throw new Error(`Too many CCIP-Read lookups calling ${to}`);
+      }
+
+      const lookup = OFFCHAIN_LOOKUP.decodeErrorResult(
+        "OffchainLookup",
+        revertData
+      );
+      if (lookup.sender.toLowerCase() !== to.toLowerCase()) {
+        throw new Error(
+          `CCIP-Read sender ${lookup.sender} does not match resolver ${to}`
+        );
+      }
+      logger.log(`🛰️ CCIP-Read lookup for ${to} via ${lookup.urls[0]}`);
+      const response = await gateway({
+        sender: lookup.sender,
+        urls: [...lookup.urls],
+        data: lookup.callData,
+      });
+      callData = ethers.concat([
+        lookup.callbackFunction,
+        ethers.AbiCoder.defaultAbiCoder().encode(
+          ["bytes", "bytes"],
+          [response, lookup.extraData]
+        ),
+      ]);
+    }
+  }
+}
+
+async function supportsExtendedResolver(provider, resolverAddress) {
+  const resolver = new Contract(resolverAddress, EXTENDED_RESOLVER, provider);
+  try {
+    return await resolver.supportsInterface(EXTENDED_RESOLVER_INTERFACE_ID);
+  } catch (error) {
+    // Old resolvers without ERC-165 revert
+    if (error?.code === "CALL_EXCEPTION" || error?.code === "BAD_DATA") {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Finds the resolver for a normalized name (ENSIP-10): the name's own
+ * resolver, or the closest parent's if that resolver supports wildcard
+ * resolution. Resolves to { address, name, extended } or null.
+ */
+export async function findEnsResolver(provider, name, registryAddress) {
+  const registry = new Contract(registryAddress, ENS_REGISTRY_ABI, provider);
+  const labels = name.split(".");
+  for (let i = 0; i < labels.length; i++) {
+    const current = labels.slice(i).join(".");
+    const address = await registry.resolver(namehash(current));
+    if (address === ethers.ZeroAddress) continue;
+
+    const extended = await supportsExtendedResolver(provider, address);
+    // A parent's resolver only answers for subnames through resolve()
+    if (i > 0 && !extended) return null;
+    return { address, name: current, extended };
+  }
+  return null;
+}
+
+/**
+ * Finds the resolver for a normalized name and returns it with a
+ * `read(record, ...args)` function for its records ("addr", "text",
+ * "contenthash"), or null when the name has no resolver. Extended resolvers
+ * are called through resolve(name, data), and any resolver may answer via
+ * CCIP-Read.
+ *
+ * @param options  { registryAddress, ccipReadGateway }
+ */
+export async function getEnsResolver(provider, name, options = {}) {
+  const { registryAddress, ccipReadGateway: gateway = ccipReadGateway } =
+    options;
+  const resolver = await findEnsResolver(provider, name, registryAddress);
+  if (!resolver) return null;
+  logger.log(
+    `🔗 Resolver for ${name}: ${resolver.address}${
+      resolver.extended ? " (ENSIP-10)" : ""
+    }`
+  );
+
+  const read = async (record, ...args) => {
+    const recordData = RESOLVER_RECORDS.encodeFunctionData(record, [
+      namehash(name),
+      ...args,
+    ]);
+    if (!resolver.extended) {
+      const result = await callWithCcipRead(
+        provider,
+        resolver.address,
+        recordData,
+        gateway
+      );
+      return RESOLVER_RECORDS.decodeFunctionResult(record, result)[0];
+    }
+
+    const result = await callWithCcipRead(
+      provider,
+      resolver.address,
+      EXTENDED_RESOLVER.encodeFunctionData("resolve", [
+        ethers.dnsEncode(name),
+        recordData,
+      ]),
+      gateway
+    );
+    const [recordResult] = EXTENDED_RESOLVER.decodeFunctionResult(
+      "resolve",
+      result
+    );
+    return RESOLVER_RECORDS.decodeFunctionResult(record, recordResult)[0];
+  };
+
+  return { ...resolver, read };
+}
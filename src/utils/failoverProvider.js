@@ -0,0 +1,208 @@
+/**
+ * Multi-RPC Failover Provider
+ *
+ * A JsonRpcProvider that spreads requests over a list of RPC endpoints for the
+ * same chain. Endpoints are ranked by measured latency; an endpoint that errors
+ * or times out is demoted with exponential backoff and the request moves on to
+ * the next endpoint. Health is tracked per URL and shared by every provider in
+ * the page, so one outage is only discovered once.
+ *
+ * Usage:
+ * ```javascript
+ * import { FailoverRpcProvider } from './failoverProvider.js';
+ *
+ * const provider = new FailoverRpcProvider(
+ *   ['https://polygon-bor-rpc.publicnode.com', 'https://polygon-rpc.com'],
+ *   137
+ * );
+ * ```
+ */
+
+import { FetchRequest, JsonRpcProvider, Network } from "ethers";
+import { logger } from "./logger.js";
+
+// Default time to wait for an endpoint before failing over
+const DEFAULT_TIMEOUT_MS = 8000;
+
+// Backoff for demoted endpoints: 5s, 10s, 20s, ... up to 5 minutes
+const BASE_BACKOFF_MS = 5000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+// Weight of the newest sample in the latency moving average
+const LATENCY_SMOOTHING = 0.3;
+
+// JSON-RPC error codes that mean "try another endpoint" rather than a real result
+const RETRYABLE_RPC_ERROR_CODES = [
+  -32005, // limit exceeded
+  -32029, // too many requests
+];
+
+// Health records shared across providers, keyed by URL
+const endpointHealth = new Map();
+
+/**
+ * Gets (or creates) the health record for an endpoint
+ */
+function getHealth(url) {
+  let health = endpointHealth.get(url);
+  if (!health) {
+    health = {
+      url,
+      latencyMs: null,
+      failures: 0,
+      demotedUntil: 0,
+      lastError: null,
+    };
+    endpointHealth.set(url, health);
+  }
+  return health;
+}
+
+/**
+ * Records a successful request and folds its latency into the moving average
+ */
+function recordSuccess(url, latencyMs) {
+  const health = getHealth(url);
+  health.latencyMs =
+    health.latencyMs === null
+      ? latencyMs
+      : Math.round(
+          health.latencyMs * (1 - LATENCY_SMOOTHING) +
+            latencyMs * LATENCY_SMOOTHING
+        );
+  health.failures = 0;
+  health.demotedUntil = 0;
+  health.lastError = null;
+}
+
+/**
+ * Records a failed request and demotes the endpoint with exponential backoff
+ */
+function recordFailure(url, error) {
+  const health = getHealth(url);
+  health.failures += 1;
+  const backoff = Math.min(
+    BASE_BACKOFF_MS * 2 ** (health.failures - 1),
+    MAX_BACKOFF_MS
+  );
+  health.demotedUntil = Date.now() + backoff;
+  health.lastError = error?.shortMessage || error?.message || String(error);
+  logger.warn(
+    `⚠️ RPC endpoint ${url} failed (${health.failures}x), demoted for ${
+      backoff / 1000
+    }s: ${health.lastError}`
+  );
+}
+
+/**
+ * Orders endpoints for a request: healthy ones first, fastest first (endpoints
+ * not yet measured keep their configured order ahead of slower ones), then
+ * demoted ones by how soon their backoff ends.
+ */
+function rankEndpoints(urls) {
+  const now = Date.now();
+  const ranked = urls.map((url, order) => ({ order, ...getHealth(url) }));
+
+  const healthy = ranked
+    .filter((health) => health.demotedUntil <= now)
+    .sort((a, b) => {
+      if (a.latencyMs === null && b.latencyMs === null) {
+        return a.order - b.order;
+      }
+      if (a.latencyMs === null) return -1;
+      if (b.latencyMs === null) return 1;
+      return a.latencyMs - b.latencyMs;
+    });
+  const demoted = ranked
+    .filter((health) => health.demotedUntil > now)
+    .sort((a, b) => a.demotedUntil - b.demotedUntil);
+
+  return [...healthy, ...demoted].map((health) => health.url);
+}
+
+/**
+ * Snapshot of endpoint health, for diagnostics. Pass URLs to filter.
+ */
+export function getRpcEndpointHealth(urls) {
+  const selected = urls
+    ? urls.map(getHealth)
+    : Array.from(endpointHealth.values());
+  return selected.map((health) => ({
+    ...health,
+    healthy: health.demotedUntil <= Date.now(),
+  }));
+}
+
+/**
+ * Clear endpoint health records (useful for testing)
+ */
+export function clearRpcEndpointHealth() {
+  endpointHealth.clear();
+  logger.log("🗑️ RPC endpoint health cleared");
+}
+
+export class FailoverRpcProvider extends JsonRpcProvider {
+  #urls;
+  #timeout;
+
+  /**
+   * @param urls     RPC endpoint URLs for a single chain
+   * @param chainId  Chain ID served by every endpoint (skips network detection)
+   * @param options  JsonRpcProvider options plus `timeout` in milliseconds
+   */
+  constructor(urls, chainId, options = {}) {
+    if (!Array.isArray(urls) || urls.length === 0) {
+      throw new Error("At least one RPC URL is required");
+    }
+    const { timeout = DEFAULT_TIMEOUT_MS, ...providerOptions } = options;
+    const network = chainId != null ? Network.from(chainId) : undefined;
+    super(urls[0], network, {
+      ...(network ? { staticNetwork: network } : {}),
+      ...providerOptions,
+    });
+    this.#urls = [...urls];
+    this.#timeout = timeout;
+  }
+
+  get urls() {
+    return [...this.#urls];
+  }
+
+  async _send(payload) {
+    let lastError;
+
+    for (const url of rankEndpoints(this.#urls)) {
+      const request = new FetchRequest(url);
+      request.body = JSON.stringify(payload);
+      request.setHeader("content-type", "application/json");
+      request.timeout = this.#timeout;
+
+      const started = Date.now();
+      try {
+        const response = await request.send();
+        response.assertOk();
+        let resp = response.bodyJson;
+        if (!Array.isArray(resp)) {
+          resp = [resp];
+        }
+
+        const retryable = resp.find((r) =>
+          RETRYABLE_RPC_ERROR_CODES.includes(r?.error?.code)
+        );
+        if (retryable) {
+          throw new Error(
+            `RPC error ${retryable.error.code}: ${retryable.error.message}`
+          );
+        }
+
+        recordSuccess(url, Date.now() - started);
+        return resp;
+      } catch (error) {
+        recordFailure(url, error);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * Library Logging
+ *
+ * The fetcher and publisher log each step to the console. The log level sets
+ * how much of that is printed: "info" (default) prints everything, "warn" only
+ * warnings and errors, "error" only errors and "silent" nothing. Applications
+ * that print their own output (e.g. the CLI) lower it instead of replacing
+ * console methods.
+ *
+ * Usage:
+ * ```javascript
+ * import { setLogLevel } from './wttpFetch.js';
+ *
+ * setLogLevel('warn');
+ * ```
+ */
+
+const LOG_LEVELS = ["silent", "error", "warn", "info"];
+
+let logLevel = "info";
+
+/**
+ * Sets the library log level: "silent", "error", "warn" or "info"
+ */
+export function setLogLevel(level) {
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(
+      `Unknown log level ${level}; expected one of ${LOG_LEVELS.join(", ")}`
+    );
+  }
+  logLevel = level;
+}
+
+export function getLogLevel() {
+  return logLevel;
+}
+
+const enabled = (level) =>
+  LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(logLevel);
+
+/**
+ * Console stand-in used by library modules, filtered by the log level
+ */
+export const logger = {
+  log(...args) {
+    if (enabled("info")) console.log(...args);
+  },
+  warn(...args) {
+    if (enabled("warn")) console.warn(...args);
+  },
+  error(...args) {
+    if (enabled("error")) console.error(...args);
+  },
+};
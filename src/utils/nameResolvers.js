@@ -0,0 +1,191 @@
+/**
+ * Site Name Resolvers
+ *
+ * Turns site names into { address, chainId } through pluggable resolvers. Each
+ * resolver claims names with a `pattern` (a RegExp or a predicate) and resolves
+ * them with `resolve(name, context)` to { address, chain } or null, where
+ * `chain` is a chain ID, a network name or null for the request's chain.
+ * Resolvers registered later are asked first, so in-house naming contracts or a
+ * hosts map can take over names a built-in resolver would claim.
+ *
+ * Usage:
+ * ```javascript
+ * import { registerNameResolver, createHostsResolver } from './nameResolvers.js';
+ *
+ * registerNameResolver({
+ *   name: 'acme',
+ *   pattern: /\.acme$/,
+ *   resolve: async (name, { provider }) => ({ address: await lookup(name), chain: 137 }),
+ * });
+ *
+ * registerNameResolver(createHostsResolver({ blog: '0xSite:137' }));
+ * ```
+ */
+
+import { ethers } from "ethers";
+import { getNetworkConfig } from "./chainRegistry.js";
+import { WttpURL } from "./wttpUrl.js";
+import { logger } from "./logger.js";
+
+// Registered resolvers, asked in order
+const nameResolvers = [];
+
+/**
+ * Parses a site reference: "0xSite", "0xSite:137" or "0xSite:polygon",
+ * optionally as a wttp:// URL. Returns { address, chainId } (chainId null when
+ * no chain is given) or null if the value isn't one.
+ */
+export function parseSiteReference(value) {
+  const url = typeof value === "string" ? WttpURL.parse(value) : null;
+  if (!url?.isAddress || url.path !== "/" || url.query || url.fragment) {
+    return null;
+  }
+  return { address: url.host, chainId: toChainId(url.chain) };
+}
+
+/**
+ * Chain ID for a chain ID, numeric string or registered network name; null
+ * for none
+ */
+function toChainId(chain) {
+  if (chain === undefined || chain === null || chain === "") return null;
+  if (/^\d+$/.test(String(chain))) return Number(chain);
+  const chainId = getNetworkConfig(chain)?.chainId;
+  if (!chainId) {
+    throw new Error(`Unknown chain "${chain}"`);
+  }
+  return chainId;
+}
+
+function claims(resolver, name) {
+  return typeof resolver.pattern === "function"
+    ? Boolean(resolver.pattern(name))
+    : resolver.pattern.test(name);
+}
+
+/**
+ * Registers a name resolver { name, pattern, resolve }, replacing any with the
+ * same name. It is asked before the resolvers registered earlier.
+ */
+export function registerNameResolver(resolver) {
+  const { name, pattern, resolve } = resolver || {};
+  if (!name || typeof resolve !== "function") {
+    throw new Error("Name resolvers need a name and a resolve function");
+  }
+  if (!(pattern instanceof RegExp) && typeof pattern !== "function") {
+    throw new Error(`Name resolver ${name} needs a RegExp or function pattern`);
+  }
+  unregisterNameResolver(name);
+  nameResolvers.unshift(resolver);
+  return resolver;
+}
+
+/**
+ * Removes a name resolver. Returns true if it was registered.
+ */
+export function unregisterNameResolver(name) {
+  const index = nameResolvers.findIndex((resolver) => resolver.name === name);
+  if (index === -1) return false;
+  nameResolvers.splice(index, 1);
+  return true;
+}
+
+/**
+ * Lists registered name resolvers in the order they are asked
+ */
+export function listNameResolvers() {
+  return nameResolvers.map(({ name, pattern }) => ({ name, pattern }));
+}
+
+/**
+ * The first resolver that claims a site name, or undefined. Addresses are
+ * never claimed.
+ */
+export function findNameResolver(siteName) {
+  if (typeof siteName !== "string" || ethers.isAddress(siteName)) {
+    return undefined;
+  }
+  return nameResolvers.find((resolver) => claims(resolver, siteName));
+}
+
+/**
+ * Resolves a site name with the resolver that claims it. Resolves to
+ * { address, chainId, resolver } or null when the resolver doesn't know the
+ * name; throws if no resolver claims it.
+ *
+ * @param context  Passed to the resolver, e.g. { provider, chainId, ensOptions }
+ */
+export async function resolveSiteName(siteName, context = {}) {
+  const resolver = findNameResolver(siteName);
+  if (!resolver) {
+    throw new Error(`No name resolver claims ${siteName}`);
+  }
+
+  const result = await resolver.resolve(siteName, context);
+  if (!result?.address) return null;
+  return {
+    address: ethers.getAddress(result.address),
+    chainId: toChainId(result.chain),
+    resolver: resolver.name,
+  };
+}
+
+/**
+ * A resolver for a static hosts map: { "blog": "0xSite:137", "docs.local":
+ * { "address": "0xSite", "chain": "polygon" } }. Names are matched without
+ * regard to case.
+ */
+export function createHostsResolver(hosts, options = {}) {
+  const { name = "hosts" } = options;
+  const entries = new Map();
+  for (const [host, value] of Object.entries(hosts || {})) {
+    const site =
+      typeof value === "string"
+        ? parseSiteReference(value)
+        : value?.address && {
+            address: ethers.getAddress(value.address),
+            chainId: toChainId(value.chain),
+          };
+    if (!site) {
+      throw new Error(`Invalid hosts entry for ${host}: ${value}`);
+    }
+    entries.set(host.toLowerCase(), site);
+  }
+
+  return {
+    name,
+    pattern: (siteName) => entries.has(siteName.toLowerCase()),
+    resolve: async (siteName) => {
+      const site = entries.get(siteName.toLowerCase());
+      return site && { address: site.address, chain: site.chainId };
+    },
+  };
+}
+
+/**
+ * Registers a hosts map from an object, JSON string or URL. The JSON is the
+ * map itself or { "hosts": { ... } }.
+ */
+export async function loadHostsFile(source, options = {}) {
+  let config = source;
+
+  if (typeof source === "string") {
+    const trimmed = source.trim();
+    if (trimmed.startsWith("{")) {
+      config = JSON.parse(trimmed);
+    } else {
+      logger.log(`🧭 Loading hosts from ${source}`);
+      const response = await fetch(source);
+      if (!response.ok) {
+        throw new Error(
+          `Failed to load hosts from ${source}: ${response.status}`
+        );
+      }
+      config = await response.json();
+    }
+  }
+
+  return registerNameResolver(
+    createHostsResolver(config?.hosts ?? config, options)
+  );
+}
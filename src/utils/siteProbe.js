@@ -0,0 +1,241 @@
+/**
+ * WTTP Site Capability Probe
+ *
+ * Works out what a site contract is before the fetcher talks to it: a WTTP site
+ * (IBaseWTTPSite), a legacy webContractV1 site, or something else. Contracts
+ * that implement ERC-165 are asked which WTTP interfaces they support; others
+ * are recognized by a DPS() call and then by webContractVersion(). Results are
+ * cached per chain and address, so a known site is not probed again.
+ *
+ * Interface IDs are computed the way Solidity does: the XOR of the selectors an
+ * interface declares itself, not the ones it inherits.
+ *
+ * Usage:
+ * ```javascript
+ * import { probeSiteContract } from './siteProbe.js';
+ *
+ * const probe = await probeSiteContract(provider, siteAddress, chainId);
+ * if (probe.kind === 'wttp' && probe.methods.includes('PUT')) { ... }
+ * ```
+ */
+
+import { Interface, Contract } from "ethers";
+import IBaseWTTPSiteArtifact from "../abis/IBaseWTTPSite.json";
+import IBaseWTTPStorageArtifact from "../abis/IBaseWTTPStorage.json";
+import WEB_CONTRACT_V1_ABI from "../abis/webContractV1.js";
+import { detectWebContractV1 } from "./webContractV1Adapter.js";
+import { WttpIntegrityError } from "./wttpErrors.js";
+import { logger } from "./logger.js";
+
+const ERC165_ABI = [
+  "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+];
+const ERC165_INTERFACE_ID = "0x01ffc9a7";
+// ERC-165 contracts must answer false for this ID
+const INVALID_INTERFACE_ID = "0xffffffff";
+
+const ACCESS_CONTROL_FUNCTIONS = [
+  "hasRole",
+  "getRoleAdmin",
+  "grantRole",
+  "revokeRole",
+  "renounceRole",
+];
+
+// Probe results by "chainId:address", with ":verified" for probes made
+// through a quorum runner
+const siteProbeCache = new Map();
+
+const probeCacheKey = (chainId, siteAddress, verified = false) =>
+  `${chainId}:${siteAddress.toLowerCase()}${verified ? ":verified" : ""}`;
+
+function functionsOf(abi) {
+  const functions = [];
+  new Interface(abi).forEachFunction((fragment) => functions.push(fragment));
+  return functions;
+}
+
+function toInterfaceId(fragments) {
+  const id = fragments.reduce(
+    (xor, fragment) => (xor ^ parseInt(fragment.selector, 16)) >>> 0,
+    0
+  );
+  return "0x" + id.toString(16).padStart(8, "0");
+}
+
+/**
+ * Interface name -> { id, methods }. `methods` includes inherited functions,
+ * so it lists everything callable on a contract that supports the interface.
+ */
+function buildSiteInterfaces() {
+  const storageFunctions = functionsOf(IBaseWTTPStorageArtifact.abi);
+  const siteFunctions = functionsOf(IBaseWTTPSiteArtifact.abi);
+  const isAccessControl = (f) => ACCESS_CONTROL_FUNCTIONS.includes(f.name);
+  const storageSelectors = new Set(storageFunctions.map((f) => f.selector));
+  const names = (fragments) => fragments.map((f) => f.name);
+
+  const accessControl = storageFunctions.filter(isAccessControl);
+  return {
+    IAccessControl: {
+      id: toInterfaceId(accessControl),
+      methods: names(accessControl),
+    },
+    IBaseWTTPStorage: {
+      id: toInterfaceId(storageFunctions.filter((f) => !isAccessControl(f))),
+      methods: names(storageFunctions),
+    },
+    IBaseWTTPSite: {
+      id: toInterfaceId(
+        siteFunctions.filter((f) => !storageSelectors.has(f.selector))
+      ),
+      methods: names(siteFunctions),
+    },
+  };
+}
+
+const SITE_INTERFACES = buildSiteInterfaces();
+
+/**
+ * ERC-165 interface IDs the probe checks, by interface name
+ */
+export const WTTP_INTERFACE_IDS = Object.freeze(
+  Object.fromEntries(
+    Object.entries(SITE_INTERFACES).map(([name, { id }]) => [name, id])
+  )
+);
+
+const V1_METHODS = functionsOf(WEB_CONTRACT_V1_ABI).map((f) => f.name);
+
+function isRevert(error) {
+  return error?.code === "CALL_EXCEPTION" || error?.code === "BAD_DATA";
+}
+
+/**
+ * supportsInterface(id), or null when the call reverts or can't be decoded
+ */
+async function supportsInterface(contract, interfaceId) {
+  try {
+    return await contract.supportsInterface(interfaceId);
+  } catch (error) {
+    if (isRevert(error)) return null;
+    throw error;
+  }
+}
+
+async function probeInterfaces(runner, siteAddress) {
+  const contract = new Contract(siteAddress, ERC165_ABI, runner);
+  const names = Object.keys(SITE_INTERFACES);
+  const [erc165, invalid, ...answers] = await Promise.all([
+    supportsInterface(contract, ERC165_INTERFACE_ID),
+    supportsInterface(contract, INVALID_INTERFACE_ID),
+    ...names.map((name) =>
+      supportsInterface(contract, SITE_INTERFACES[name].id)
+    ),
+  ]);
+  const isErc165 = erc165 === true && invalid === false;
+  const interfaces = Object.fromEntries(
+    names.map((name, i) => [name, isErc165 && answers[i] === true])
+  );
+  return { erc165: isErc165, interfaces };
+}
+
+/**
+ * Whether DPS() answers, for WTTP sites that don't implement ERC-165
+ */
+async function hasDataPointStorage(runner, siteAddress) {
+  try {
+    await new Contract(siteAddress, IBaseWTTPSiteArtifact.abi, runner).DPS();
+    return true;
+  } catch (error) {
+    if (isRevert(error)) return false;
+    throw error;
+  }
+}
+
+/**
+ * Probes the contract at siteAddress. Resolves to
+ * { address, chainId, hasCode, kind, erc165, interfaces, methods,
+ * webContractVersion }, where kind is "wttp", "webContractV1" or "unknown" and
+ * hasCode is null when getCode() failed. RPC failures are thrown.
+ *
+ * WTTP and v1 sites are cached; `refresh: true` probes again. Probes made with
+ * `verified: true` (through a quorum runner) are cached apart from the rest,
+ * so verified fetches never reuse an unverified probe.
+ * `provider` serves getCode() when runner is a batching or quorum runner.
+ */
+export async function probeSiteContract(
+  runner,
+  siteAddress,
+  chainId,
+  options = {}
+) {
+  const { provider = runner, refresh = false, verified = false } = options;
+  const key = probeCacheKey(chainId, siteAddress, verified);
+  if (!refresh && siteProbeCache.has(key)) {
+    return siteProbeCache.get(key);
+  }
+
+  let code = null;
+  try {
+    code = await provider.getCode(siteAddress);
+  } catch (error) {
+    // Endpoints that disagree on the code are not a transient failure
+    if (error instanceof WttpIntegrityError) throw error;
+    logger.warn("getCode() failed:", error?.message || error);
+  }
+  const probe = {
+    address: siteAddress,
+    chainId,
+    hasCode: code === null ? null : code !== "0x",
+    kind: "unknown",
+    erc165: false,
+    interfaces: Object.fromEntries(
+      Object.keys(SITE_INTERFACES).map((name) => [name, false])
+    ),
+    methods: [],
+    webContractVersion: null,
+  };
+  if (probe.hasCode === false) return probe;
+
+  Object.assign(probe, await probeInterfaces(runner, siteAddress));
+  if (probe.interfaces.IBaseWTTPSite) {
+    probe.kind = "wttp";
+  } else if (await hasDataPointStorage(runner, siteAddress)) {
+    probe.kind = "wttp";
+  } else {
+    probe.webContractVersion = await detectWebContractV1(runner, siteAddress);
+    if (probe.webContractVersion) probe.kind = "webContractV1";
+  }
+
+  if (probe.kind === "webContractV1") {
+    probe.methods = V1_METHODS;
+  } else if (probe.kind === "wttp" && !probe.interfaces.IBaseWTTPSite) {
+    // Recognized by DPS() alone: assume the whole site interface
+    probe.methods = SITE_INTERFACES.IBaseWTTPSite.methods;
+  } else {
+    const supported = Object.keys(SITE_INTERFACES).filter(
+      (name) => probe.interfaces[name]
+    );
+    probe.methods = [
+      ...new Set(supported.flatMap((name) => SITE_INTERFACES[name].methods)),
+    ];
+  }
+
+  if (probe.kind !== "unknown") siteProbeCache.set(key, probe);
+  return probe;
+}
+
+/**
+ * The cached probe for a site, or undefined if it hasn't been probed
+ * (`verified` picks the probe made through a quorum runner)
+ */
+export function getCachedSiteProbe(chainId, siteAddress, verified = false) {
+  return siteProbeCache.get(probeCacheKey(chainId, siteAddress, verified));
+}
+
+/**
+ * Forgets every probed site
+ */
+export function clearSiteProbeCache() {
+  siteProbeCache.clear();
+}
@@ -17,3 +17,23 @@ export function hexToUtf8(hex) {
   const decoder = new TextDecoder();
   return decoder.decode(bytes);
 }
+
+/**
+ * Runs an async mapper over items with at most `limit` calls in flight.
+ * Results are returned in input order regardless of completion order.
+ */
+export async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
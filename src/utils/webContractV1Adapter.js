@@ -0,0 +1,278 @@
+/**
+ * Legacy webContractV1 Sites
+ *
+ * Sites deployed before WTTP store each resource as numbered chunks on the site
+ * contract itself (`getResource`, `getResourceChunk`) and have no
+ * DataPointStorage. This adapter gives such a site the same HEAD and GET calls
+ * as IBaseWTTPSite, so the fetcher's redirect, index fallback and range handling
+ * work unchanged, plus a DPS-like reader for the chunks.
+ *
+ * v1 sites have no etags, modification times or cache headers: heads carry a
+ * zero etag, and the size is the sum of the chunk sizes, so a HEAD reads the
+ * whole resource. Chunks are kept for the GET that follows.
+ *
+ * Usage:
+ * ```javascript
+ * import { detectWebContractV1, createWebContractV1Site } from './webContractV1Adapter.js';
+ *
+ * if (await detectWebContractV1(provider, siteAddress)) {
+ *   const site = createWebContractV1Site(siteAddress, provider);
+ *   const { head, resource } = await site.GET({ head: { path: '/index.html' }, rangeChunks: { start: 0, end: -1 } });
+ *   const chunk = await site.dataPointStorage.readDataPoint(resource.dataPoints[0]);
+ * }
+ * ```
+ */
+
+import { ethers, Contract } from "ethers";
+import WEB_CONTRACT_V1_ABI from "../abis/webContractV1.js";
+import { encodeMimeType, encodeCharset, EMPTY_CODE } from "./wttpCodec.js";
+
+/**
+ * Encodes a property, or 0x0000 when the name has no code
+ */
+function tryEncode(encode, value) {
+  try {
+    return encode(value);
+  } catch (error) {
+    return EMPTY_CODE;
+  }
+}
+
+/**
+ * Resource properties from a v1 content type such as "text/html; charset=utf-8"
+ */
+function toProperties(contentType) {
+  const [mimeType, ...params] = (contentType || "").split(";");
+  const charset = params
+    .map((param) => param.trim().match(/^charset\s*=\s*"?([^"]+)"?$/i)?.[1])
+    .find(Boolean);
+  return {
+    mimeType: tryEncode(encodeMimeType, mimeType.trim()),
+    charset: tryEncode(encodeCharset, charset),
+    encoding: EMPTY_CODE,
+    language: EMPTY_CODE,
+  };
+}
+
+/**
+ * HTTP status for a v1 redirect, or null for none. v1 redirect codes are an
+ * unspecified uint8 with no documented HTTP meaning, so they only say whether a
+ * redirect is set. The status comes from `redirectType` when it names one
+ * ("301", "308 Permanent Redirect"); otherwise it is 307, which no one caches
+ * as permanent.
+ */
+function toRedirectStatus(code, type = "") {
+  if (BigInt(code) === 0n) return null;
+  const status = String(type).match(/\b30[1278]\b/)?.[0];
+  return BigInt(status ?? 307);
+}
+
+/**
+ * Builds a head in the IBaseWTTPSite shape
+ */
+function makeHead(status, options = {}) {
+  const {
+    properties = toProperties(),
+    size = 0,
+    redirect = { code: 0n, location: "" },
+  } = options;
+  return {
+    status: BigInt(status),
+    headerInfo: {
+      cache: { immutableFlag: false, preset: 0n, custom: "" },
+      cors: { methods: 0n, origins: [], preset: 0n, custom: "" },
+      redirect: { code: BigInt(redirect.code), location: redirect.location },
+    },
+    metadata: {
+      properties,
+      size: BigInt(size),
+      version: 0n,
+      lastModified: 0n,
+      header: ethers.ZeroHash,
+    },
+    etag: ethers.ZeroHash,
+  };
+}
+
+function concatChunks(chunks) {
+  const bytes = new Uint8Array(
+    chunks.reduce((total, chunk) => total + chunk.length, 0)
+  );
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+/**
+ * Checks whether a site is a webContractV1 contract by calling
+ * webContractVersion(). Returns { major, minor, patch } for v1 sites and null
+ * for anything else; RPC failures are thrown.
+ */
+export async function detectWebContractV1(runner, siteAddress) {
+  const site = new Contract(siteAddress, WEB_CONTRACT_V1_ABI, runner);
+  let version;
+  try {
+    version = await site.webContractVersion();
+  } catch (error) {
+    if (error?.code === "CALL_EXCEPTION" || error?.code === "BAD_DATA") {
+      return null;
+    }
+    throw error;
+  }
+
+  const [major, minor, patch] = Array.from(version, Number);
+  return major === 1 ? { major, minor, patch } : null;
+}
+
+/**
+ * Wraps a v1 site in IBaseWTTPSite-style HEAD and GET calls. GET lists
+ * placeholder datapoint ids that `dataPointStorage.readDataPoint` and
+ * `dataPointSize` resolve to the chunks. A site-wide redirect (getRedirect)
+ * answers every path; redirect resources hold their target as content and,
+ * having no redirect type, are always 307s.
+ */
+export function createWebContractV1Site(siteAddress, runner) {
+  const site = new Contract(siteAddress, WEB_CONTRACT_V1_ABI, runner);
+  // Placeholder datapoint id -> [path, chunk index], and id -> chunk read
+  const chunkIds = new Map();
+  const chunkReads = new Map();
+  let siteRedirectPromise;
+
+  const chunkId = (path, index) => {
+    const id = ethers.solidityPackedKeccak256(
+      ["string", "uint256"],
+      [path, index]
+    );
+    chunkIds.set(id, [path, index]);
+    return id;
+  };
+
+  const readChunk = (path, index) => {
+    const id = chunkId(path, index);
+    if (!chunkReads.has(id)) {
+      const read = site
+        .getResourceChunk(path, index)
+        .then(([content]) => ethers.getBytes(content));
+      // Let a later call retry a failed read
+      read.catch(() => chunkReads.delete(id));
+      chunkReads.set(id, read);
+    }
+    return chunkReads.get(id);
+  };
+
+  const readChunkById = (id) => {
+    const location = chunkIds.get(id);
+    if (!location) {
+      throw new Error(`Unknown webContractV1 chunk ${id}`);
+    }
+    return readChunk(...location);
+  };
+
+  const getSiteRedirect = () => {
+    if (!siteRedirectPromise) {
+      siteRedirectPromise = site.getRedirect().then(
+        ({ redirectValue, redirectType, redirectCode }) => {
+          const status = toRedirectStatus(redirectCode, redirectType);
+          return status && redirectValue
+            ? { code: status, location: redirectValue }
+            : null;
+        },
+        (error) => {
+          // Sites without a redirect may revert
+          if (error?.code === "CALL_EXCEPTION") return null;
+          siteRedirectPromise = undefined;
+          throw error;
+        }
+      );
+    }
+    return siteRedirectPromise;
+  };
+
+  // Head and chunk count for a path
+  const describe = async (path) => {
+    const redirect = await getSiteRedirect();
+    if (redirect) {
+      return { head: makeHead(redirect.code, { redirect }), totalChunks: 0 };
+    }
+
+    const [chunkCount, contentType, redirectCode] =
+      await site.getResource(path);
+    const totalChunks = Number(chunkCount);
+    if (totalChunks === 0) {
+      return { head: makeHead(404), totalChunks: 0 };
+    }
+
+    const chunks = await Promise.all(
+      Array.from({ length: totalChunks }, (_, i) => readChunk(path, i))
+    );
+    const redirectStatus = toRedirectStatus(redirectCode);
+    if (redirectStatus) {
+      const location = new TextDecoder().decode(concatChunks(chunks)).trim();
+      return {
+        head: makeHead(redirectStatus, {
+          redirect: { code: redirectStatus, location },
+        }),
+        totalChunks: 0,
+      };
+    }
+
+    const size = chunks.reduce((total, chunk) => total + chunk.length, 0);
+    return {
+      head: makeHead(200, { properties: toProperties(contentType), size }),
+      totalChunks,
+    };
+  };
+
+  return {
+    target: siteAddress,
+
+    async HEAD(headRequest) {
+      const path = Array.isArray(headRequest)
+        ? headRequest[0]
+        : headRequest.path;
+      return (await describe(path)).head;
+    },
+
+    async GET(getRequest) {
+      const [headRequest, rangeChunks] = Array.isArray(getRequest)
+        ? getRequest
+        : [getRequest.head, getRequest.rangeChunks];
+      const path = Array.isArray(headRequest)
+        ? headRequest[0]
+        : headRequest.path;
+      const [start, end] = Array.isArray(rangeChunks)
+        ? rangeChunks
+        : [rangeChunks.start, rangeChunks.end];
+
+      const { head, totalChunks } = await describe(path);
+      if (head.status !== 200n) {
+        return { head, resource: { dataPoints: [], totalChunks: 0n } };
+      }
+
+      // Negative indices count from the end, as in WTTP range requests
+      const toIndex = (i) =>
+        Number(i) < 0 ? totalChunks + Number(i) : Number(i);
+      const first = Math.max(0, toIndex(start));
+      const last = Math.min(totalChunks - 1, toIndex(end));
+      const dataPoints = [];
+      for (let i = first; i <= last; i++) {
+        dataPoints.push(chunkId(path, i));
+      }
+      return {
+        head:
+          dataPoints.length === totalChunks ? head : { ...head, status: 206n },
+        resource: { dataPoints, totalChunks: BigInt(totalChunks) },
+      };
+    },
+
+    // Reads chunks by the placeholder ids GET lists
+    dataPointStorage: {
+      target: siteAddress,
+      readDataPoint: (id) => readChunkById(id),
+      dataPointSize: async (id) => BigInt((await readChunkById(id)).length),
+    },
+  };
+}
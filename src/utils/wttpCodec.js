@@ -0,0 +1,354 @@
+/**
+ * WTTP Resource Property Codes
+ *
+ * Resource properties are stored on chain as bytes2 codes. This module maps
+ * each `mimeType`, `charset`, `encoding` and `language` code to and from its
+ * standard name, for publishing (name -> code) and for rendering (code -> name).
+ *
+ * The tables are those of the WTTP reference package, @wttp/core
+ * (src/utils/properties, v1.0.1):
+ * - mimeType: first letter of the type, then a letter for the subtype
+ *   ("th" text/html, "aj" application/javascript, "ip" image/png)
+ * - charset: a letter for the family and a number ("u" 8 utf-8, "i" 1
+ *   iso-8859-1)
+ * - encoding: two letters of the name ("gz" gzip, "br" brotli)
+ * - language: a letter for the language in the first byte and one for the
+ *   region in the second ("e" "u" en-US, "f" 0x00 fr)
+ * 0x0000 means "not set". Unlike @wttp/core, names without a code throw
+ * instead of silently encoding as a default, and codes without a name decode
+ * to undefined so callers can fall back.
+ *
+ * Usage:
+ * ```javascript
+ * import { encodeMimeType, decodeMimeType, getContentType } from './wttpCodec.js';
+ *
+ * encodeMimeType('image/webp'); // '0x6977'
+ * decodeMimeType('0x6632'); // 'font/woff2'
+ * getContentType(head.metadata.properties); // 'text/html; charset=utf-8'
+ * ```
+ */
+
+export const EMPTY_CODE = "0x0000";
+
+// Default type for content whose code is unset or unknown
+export const DEFAULT_MIME_TYPE = "application/octet-stream";
+
+// MIME type codes
+export const MIME_TYPE_CODES = Object.freeze({
+  "text/html": "0x7468", // th
+  "text/css": "0x7463", // tc
+  "text/markdown": "0x746d", // tm
+  "text/plain": "0x7470", // tp
+  "application/javascript": "0x616a", // aj
+  "application/xml": "0x6178", // ax
+  "application/pdf": "0x6170", // ap
+  "application/json": "0x616f", // ao (object)
+  "application/octet-stream": "0x6273", // bs (binary stream)
+  "image/png": "0x6970", // ip
+  "image/jpeg": "0x696a", // ij
+  "image/gif": "0x6967", // ig
+  "image/svg+xml": "0x6973", // is
+  "image/webp": "0x6977", // iw
+  "image/avif": "0x6961", // ia
+  "image/x-icon": "0x6969", // ii
+  "font/ttf": "0x6674", // ft
+  "font/otf": "0x666f", // fo
+  "font/woff": "0x6677", // fw
+  "font/woff2": "0x6632", // f2
+});
+
+// Other names for the types above, accepted when encoding
+const MIME_TYPE_ALIASES = {
+  "text/javascript": "application/javascript",
+  "application/x-javascript": "application/javascript",
+  "image/jpg": "image/jpeg",
+  "image/vnd.microsoft.icon": "image/x-icon",
+  "application/font-woff": "font/woff",
+};
+
+// Charset codes. Every name except utf-32 is a label TextDecoder accepts.
+export const CHARSET_CODES = Object.freeze({
+  "utf-8": "0x7508", // u(8)
+  "utf-16": "0x7510", // u(16)
+  "utf-32": "0x7520", // u(32)
+  "utf-16le": "0x106c", // (16)l
+  "utf-16be": "0x1062", // (16)b
+  "utf-32le": "0x206c", // (32)l
+  "utf-32be": "0x2062", // (32)b
+  "us-ascii": "0x7561", // ua
+  unicode: "0x7563", // uc
+  "iso-8859-1": "0x6901", // i(1)
+  "iso-8859-2": "0x6902", // i(2)
+  "iso-8859-3": "0x6903", // i(3)
+  "iso-8859-4": "0x6904", // i(4)
+  "iso-8859-5": "0x6905", // i(5)
+  "iso-8859-6": "0x6906", // i(6)
+  "iso-8859-7": "0x6907", // i(7)
+  "iso-8859-8": "0x6908", // i(8)
+  "iso-8859-9": "0x6909", // i(9)
+  "iso-8859-10": "0x690a", // i(10)
+  "iso-8859-11": "0x690b", // i(11)
+  "iso-8859-13": "0x690d", // i(13)
+  "iso-8859-14": "0x690e", // i(14)
+  "iso-8859-15": "0x690f", // i(15)
+  "iso-8859-16": "0x6910", // i(16)
+  "windows-1250": "0x7732", // w(50)
+  "windows-1251": "0x7733", // w(51)
+  "windows-1252": "0x7734", // w(52)
+  "windows-1253": "0x7735", // w(53)
+  "windows-1254": "0x7736", // w(54)
+  "windows-1255": "0x7737", // w(55)
+  "windows-1256": "0x7738", // w(56)
+  "windows-1257": "0x7739", // w(57)
+  "windows-1258": "0x773a", // w(58)
+  big5: "0x6205", // b(5)
+});
+
+const CHARSET_ALIASES = {
+  utf8: "utf-8",
+  latin1: "iso-8859-1",
+  ascii: "us-ascii",
+};
+
+// Content-Encoding codes
+export const ENCODING_CODES = Object.freeze({
+  identity: "0x6964", // id
+  gzip: "0x677a", // gz
+  zlib: "0x7a6c", // zl
+  brotli: "0x6272", // br
+  zstd: "0x7a73", // zs
+  lz4: "0x6c34", // l4
+  snappy: "0x736e", // sn
+  lzma: "0x6c6d", // lm
+});
+
+// HTTP Content-Encoding tokens; HTTP "deflate" is zlib-wrapped (RFC 9110)
+const ENCODING_ALIASES = {
+  "x-gzip": "gzip",
+  deflate: "zlib",
+  br: "brotli",
+};
+
+// Language codes: the language's byte, then the region's
+const LANGUAGE_BYTES = Object.freeze({
+  en: "65", // e
+  fr: "66", // f
+  de: "64", // d
+  es: "73", // s
+  it: "69", // i
+  ja: "6a", // j
+  ko: "6b", // k
+  ru: "72", // r
+});
+
+const REGION_BYTES = Object.freeze({
+  US: "75", // u
+  GB: "67", // g
+  CA: "63", // c
+  AU: "61", // a
+  NZ: "6e", // n
+});
+
+/**
+ * Builds the code -> name lookup for a table
+ */
+function invert(table) {
+  return new Map(Object.entries(table).map(([name, code]) => [code, name]));
+}
+
+const MIME_TYPES_BY_CODE = invert(MIME_TYPE_CODES);
+const CHARSETS_BY_CODE = invert(CHARSET_CODES);
+const ENCODINGS_BY_CODE = invert(ENCODING_CODES);
+
+// MIME types by file extension, for publishing files from disk
+const MIME_TYPES_BY_EXTENSION = {
+  html: "text/html",
+  htm: "text/html",
+  css: "text/css",
+  js: "application/javascript",
+  mjs: "application/javascript",
+  json: "application/json",
+  map: "application/json",
+  md: "text/markdown",
+  txt: "text/plain",
+  xml: "application/xml",
+  pdf: "application/pdf",
+  svg: "image/svg+xml",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  avif: "image/avif",
+  ico: "image/x-icon",
+  woff: "font/woff",
+  woff2: "font/woff2",
+  ttf: "font/ttf",
+  otf: "font/otf",
+};
+
+/**
+ * Normalizes a code to lowercase 0x-prefixed hex, or null if it isn't bytes2
+ */
+function normalizeCode(code) {
+  if (typeof code !== "string" || !/^0x[0-9a-fA-F]{4}$/.test(code)) {
+    return null;
+  }
+  return code.toLowerCase();
+}
+
+/**
+ * Encodes a name with a code table. Accepts bytes2 codes as-is; empty values
+ * encode to 0x0000. Throws for unknown names.
+ */
+function encodeWith(table, aliases, kind, value) {
+  if (!value) return EMPTY_CODE;
+  const code = normalizeCode(value);
+  if (code) return code;
+
+  const name = value.split(";")[0].trim().toLowerCase();
+  const encoded = table[aliases[name] || name];
+  if (!encoded) {
+    throw new Error(
+      `Unknown ${kind} ${value}; pass its bytes2 code (e.g. "0x7468") instead`
+    );
+  }
+  return encoded;
+}
+
+/**
+ * Decodes a code with a lookup; undefined for unset or unknown codes
+ */
+function decodeWith(lookup, code) {
+  const normalized = normalizeCode(code);
+  if (!normalized || normalized === EMPTY_CODE) return undefined;
+  return lookup.get(normalized);
+}
+
+/**
+ * MIME type (e.g. "image/webp", parameters ignored) -> bytes2 code
+ */
+export function encodeMimeType(mimeType) {
+  return encodeWith(MIME_TYPE_CODES, MIME_TYPE_ALIASES, "MIME type", mimeType);
+}
+
+/**
+ * bytes2 code -> MIME type; undefined for unset or unknown codes
+ */
+export function decodeMimeType(code) {
+  return decodeWith(MIME_TYPES_BY_CODE, code);
+}
+
+/**
+ * Charset (e.g. "utf-8") -> bytes2 code
+ */
+export function encodeCharset(charset) {
+  return encodeWith(CHARSET_CODES, CHARSET_ALIASES, "charset", charset);
+}
+
+/**
+ * bytes2 code -> charset label; undefined if unset or unknown
+ */
+export function decodeCharset(code) {
+  return decodeWith(CHARSETS_BY_CODE, code);
+}
+
+/**
+ * Content encoding (e.g. "gzip") -> bytes2 code
+ */
+export function encodeEncoding(encoding) {
+  return encodeWith(ENCODING_CODES, ENCODING_ALIASES, "encoding", encoding);
+}
+
+/**
+ * bytes2 code -> content encoding; undefined if unset or unknown
+ */
+export function decodeEncoding(code) {
+  return decodeWith(ENCODINGS_BY_CODE, code);
+}
+
+const LANGUAGES_BY_BYTE = new Map(
+  Object.entries(LANGUAGE_BYTES).map(([name, byte]) => [byte, name])
+);
+const REGIONS_BY_BYTE = new Map(
+  Object.entries(REGION_BYTES).map(([name, byte]) => [byte, name])
+);
+
+/**
+ * Language tag (e.g. "en" or "en-US") -> bytes2 code. Regions without a code
+ * are dropped, leaving the language alone.
+ */
+export function encodeLanguage(language) {
+  if (!language) return EMPTY_CODE;
+  const code = normalizeCode(language);
+  if (code) return code;
+
+  const [primary, region] = language.trim().split(/[-_]/);
+  const languageByte = LANGUAGE_BYTES[primary.toLowerCase()];
+  if (!languageByte) {
+    throw new Error(
+      `Unknown language ${language}; pass its bytes2 code (e.g. "0x6575") instead`
+    );
+  }
+  return `0x${languageByte}${REGION_BYTES[region?.toUpperCase()] || "00"}`;
+}
+
+/**
+ * bytes2 code -> language tag ("en", "en-US"); undefined if unset or unknown
+ */
+export function decodeLanguage(code) {
+  const normalized = normalizeCode(code);
+  if (!normalized || normalized === EMPTY_CODE) return undefined;
+  const language = LANGUAGES_BY_BYTE.get(normalized.slice(2, 4));
+  if (!language) return undefined;
+  const region = REGIONS_BY_BYTE.get(normalized.slice(4, 6));
+  return region ? `${language}-${region}` : language;
+}
+
+/**
+ * Decodes all resource properties at once. Unset or unknown codes are undefined.
+ */
+export function decodeProperties(properties) {
+  return {
+    mimeType: decodeMimeType(properties.mimeType),
+    charset: decodeCharset(properties.charset),
+    encoding: decodeEncoding(properties.encoding),
+    language: decodeLanguage(properties.language),
+  };
+}
+
+/**
+ * Content-Type for resource properties, e.g. "text/html; charset=utf-8".
+ * Falls back to `fallback` (default application/octet-stream) for unknown types.
+ */
+export function getContentType(properties, fallback = DEFAULT_MIME_TYPE) {
+  const mimeType = decodeMimeType(properties.mimeType) || fallback;
+  const charset = decodeCharset(properties.charset);
+  return charset ? `${mimeType}; charset=${charset}` : mimeType;
+}
+
+/**
+ * Guesses a file's MIME type from its extension; undefined when unknown
+ */
+export function getMimeTypeForPath(path) {
+  const name = path.split(/[?#]/)[0].split("/").pop();
+  if (!name.includes(".")) return undefined;
+  return MIME_TYPES_BY_EXTENSION[name.split(".").pop().toLowerCase()];
+}
+
+/**
+ * Whether a MIME type or bytes2 code is text that should be decoded to a string
+ */
+export function isTextMimeType(mimeType) {
+  const name = normalizeCode(mimeType) ? decodeMimeType(mimeType) : mimeType;
+  if (!name) return false;
+  const type = name.split(";")[0].trim().toLowerCase();
+  return (
+    type.startsWith("text/") ||
+    type === "application/javascript" ||
+    type === "application/json" ||
+    type === "application/xml" ||
+    type.endsWith("+xml") ||
+    type.endsWith("+json")
+  );
+}
@@ -0,0 +1,172 @@
+/**
+ * WTTP Content Decompression
+ *
+ * Resources can be stored compressed, with the Content-Encoding recorded in
+ * `metadata.properties.encoding`. This module undoes gzip, zlib (HTTP
+ * "deflate") and brotli encodings, using the runtime's `DecompressionStream`
+ * where it supports the format and a JS decoder elsewhere (zlib for gzip and
+ * deflate, Node's built-in brotli or brotli.js for brotli).
+ *
+ * Usage:
+ * ```javascript
+ * import { getResourceEncoding, decompressContent } from './wttpDecompress.js';
+ *
+ * const encoding = getResourceEncoding(head.metadata.properties); // 'gzip'
+ * const html = await decompressContent(content, encoding);
+ * ```
+ */
+
+import zlib from "zlib";
+import { Buffer } from "buffer";
+import brotliDecompressBuffer from "brotli/decompress";
+import { WttpEncodingError } from "./wttpErrors.js";
+import { decodeEncoding, EMPTY_CODE } from "./wttpCodec.js";
+
+// DecompressionStream format per encoding
+const NATIVE_FORMATS = {
+  gzip: "gzip",
+  zlib: "deflate",
+  brotli: "brotli",
+};
+
+// JS decoders for runtimes without a native format. The browser zlib shim
+// only accepts Buffers and has no brotli.
+const FALLBACK_DECOMPRESSORS = {
+  gzip: (bytes) => zlib.gunzipSync(toBuffer(bytes)),
+  zlib: (bytes) => zlib.inflateSync(toBuffer(bytes)),
+  brotli: (bytes) =>
+    typeof zlib.brotliDecompressSync === "function"
+      ? zlib.brotliDecompressSync(toBuffer(bytes))
+      : brotliDecompressBuffer(bytes),
+};
+
+// Whether DecompressionStream accepts each format, checked once
+const nativeFormatSupport = new Map();
+
+/**
+ * Content-Encoding of a resource from its properties: the encoding name,
+ * undefined when unset, or the raw code when it isn't a known encoding
+ */
+export function getResourceEncoding(properties) {
+  const code = properties?.encoding;
+  if (!code || code.toLowerCase() === EMPTY_CODE) return undefined;
+  return decodeEncoding(code) || code;
+}
+
+/**
+ * Whether content with this encoding is stored as-is
+ */
+export function isIdentityEncoding(encoding) {
+  return !encoding || encoding === "identity";
+}
+
+/**
+ * Whether content with this encoding can be decompressed
+ */
+export function canDecompress(encoding) {
+  return isIdentityEncoding(encoding) || encoding in FALLBACK_DECOMPRESSORS;
+}
+
+function hasNativeFormat(encoding) {
+  const format = NATIVE_FORMATS[encoding];
+  if (!nativeFormatSupport.has(format)) {
+    let supported = false;
+    try {
+      supported =
+        typeof DecompressionStream === "function" &&
+        Boolean(new DecompressionStream(format));
+    } catch (error) {
+      // Unknown formats throw a TypeError
+    }
+    nativeFormatSupport.set(format, supported);
+  }
+  return nativeFormatSupport.get(format);
+}
+
+function assertSupported(encoding) {
+  if (!canDecompress(encoding)) {
+    throw new WttpEncodingError(
+      `Unsupported content encoding ${encoding}; fetch with decompress: false to get the stored bytes`,
+      { encoding }
+    );
+  }
+}
+
+function toBuffer(bytes) {
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+function toUint8Array(bytes) {
+  return new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+function concatChunks(chunks) {
+  const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+function toDecompressionError(error, encoding) {
+  return new WttpEncodingError(
+    `Failed to decompress ${encoding} content: ${error?.message || error}`,
+    { encoding, cause: error }
+  );
+}
+
+function decompressWithFallback(content, encoding) {
+  try {
+    return toUint8Array(FALLBACK_DECOMPRESSORS[encoding](content));
+  } catch (error) {
+    throw toDecompressionError(error, encoding);
+  }
+}
+
+/**
+ * Decompresses stored content. Identity or unset encodings return the content
+ * unchanged; unsupported or corrupt content throws a WttpEncodingError.
+ */
+export async function decompressContent(content, encoding) {
+  if (isIdentityEncoding(encoding)) return content;
+  assertSupported(encoding);
+
+  if (!hasNativeFormat(encoding)) {
+    return decompressWithFallback(content, encoding);
+  }
+  try {
+    const stream = new Blob([content])
+      .stream()
+      .pipeThrough(new DecompressionStream(NATIVE_FORMATS[encoding]));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch (error) {
+    throw toDecompressionError(error, encoding);
+  }
+}
+
+/**
+ * TransformStream that decompresses a stream of stored chunks. The JS fallback
+ * buffers the whole resource and emits it once the input ends.
+ */
+export function createDecompressionStream(encoding) {
+  if (isIdentityEncoding(encoding)) return new TransformStream();
+  assertSupported(encoding);
+
+  if (hasNativeFormat(encoding)) {
+    return new DecompressionStream(NATIVE_FORMATS[encoding]);
+  }
+  const chunks = [];
+  return new TransformStream({
+    transform(chunk) {
+      chunks.push(chunk);
+    },
+    flush(controller) {
+      controller.enqueue(
+        decompressWithFallback(concatChunks(chunks), encoding)
+      );
+    },
+  });
+}
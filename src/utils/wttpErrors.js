@@ -0,0 +1,228 @@
+/**
+ * WTTP Error Types
+ *
+ * Errors thrown by the fetcher, so callers can tell "not found" apart from
+ * "RPC down" or "wrong contract". Every error carries the site address, chain ID
+ * and path of the request (where known) and the underlying error as `cause`.
+ *
+ * Usage:
+ * ```javascript
+ * import { fetchWTTPResource, WttpNotFoundError, WttpRpcError } from './wttpFetch.js';
+ *
+ * try {
+ *   await fetchWTTPResource({ siteAddress, path: '/missing.html' });
+ * } catch (error) {
+ *   if (error instanceof WttpNotFoundError) showNotFound(error.path);
+ *   else if (error instanceof WttpRpcError) showRetry(error.chain);
+ *   else throw error;
+ * }
+ * ```
+ */
+
+/**
+ * Base class for all WTTP errors
+ */
+export class WttpError extends Error {
+  /**
+   * @param message  Error message
+   * @param context  { site, chain, path, cause }
+   */
+  constructor(message, context = {}) {
+    const { site, chain, path, cause } = context;
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = "WttpError";
+    this.site = site;
+    this.chain = chain;
+    this.path = path;
+    if (cause !== undefined && this.cause === undefined) {
+      this.cause = cause;
+    }
+  }
+}
+
+/**
+ * The site has no resource at the path (after redirects and index fallbacks)
+ */
+export class WttpNotFoundError extends WttpError {
+  constructor(message, context = {}) {
+    super(message, context);
+    this.name = "WttpNotFoundError";
+    this.status = context.status ?? 404;
+  }
+}
+
+/**
+ * The RPC endpoint(s) could not be reached or returned an error
+ */
+export class WttpRpcError extends WttpError {
+  constructor(message, context = {}) {
+    super(message, context);
+    this.name = "WttpRpcError";
+  }
+}
+
+/**
+ * The address holds no contract, or one that doesn't speak the WTTP site ABI
+ */
+export class WttpContractMismatchError extends WttpError {
+  constructor(message, context = {}) {
+    super(message, context);
+    this.name = "WttpContractMismatchError";
+  }
+}
+
+/**
+ * An ENS name could not be resolved to a site address
+ */
+export class WttpEnsError extends WttpError {
+  constructor(message, context = {}) {
+    super(message, context);
+    this.name = "WttpEnsError";
+    this.ensName = context.ensName;
+  }
+}
+
+/**
+ * Data could not be trusted, e.g. RPC endpoints disagreed in verified mode or a
+ * chunk didn't match its datapoint address (`chunkIndex` names the chunk)
+ */
+export class WttpIntegrityError extends WttpError {
+  constructor(message, context = {}) {
+    super(message, context);
+    this.name = "WttpIntegrityError";
+    this.chunkIndex = context.chunkIndex;
+  }
+}
+
+/**
+ * Content stored with a Content-Encoding (`encoding`) that is unsupported or
+ * could not be decompressed
+ */
+export class WttpEncodingError extends WttpError {
+  constructor(message, context = {}) {
+    super(message, context);
+    this.name = "WttpEncodingError";
+    this.encoding = context.encoding;
+  }
+}
+
+/**
+ * A PUT, PATCH, DEFINE or DELETE transaction failed or was rejected by the site
+ */
+export class WttpPublishError extends WttpError {
+  constructor(message, context = {}) {
+    super(message, context);
+    this.name = "WttpPublishError";
+    this.method = context.method;
+  }
+}
+
+/**
+ * The site reverted for a reason other than a missing resource, e.g. an access
+ * control error. `data` holds the raw revert data; `revert` is the decoded
+ * { name, signature, args } when the error is in the site ABI, else null.
+ */
+export class WttpRevertError extends WttpError {
+  constructor(message, context = {}) {
+    super(message, context);
+    this.name = "WttpRevertError";
+    this.data = context.data ?? null;
+    this.revert = context.revert ?? null;
+    this.reason = context.reason ?? null;
+  }
+}
+
+// Custom error names sites use for a missing or deleted resource
+const NOT_FOUND_ERRORS = new Set([
+  "_404",
+  "_410",
+  "NotFound",
+  "ResourceNotFound",
+]);
+
+/**
+ * Whether a revert reports a missing resource: a bare revert with no data (how
+ * sites reject an unknown path), a not-found custom error, or a require()
+ * message that says so
+ */
+export function isNotFoundRevert(error) {
+  const data = error.data;
+  if (!data || data === "0x") return true;
+  const name = error.revert?.name;
+  if (NOT_FOUND_ERRORS.has(name)) return true;
+  if (name === "Error") {
+    return /\b(404|410|not found|does not exist)\b/i.test(
+      String(error.revert.args?.[0] ?? "")
+    );
+  }
+  return false;
+}
+
+/**
+ * Fills in request context the error was thrown without. Returns the error.
+ */
+export function withErrorContext(error, context) {
+  if (error instanceof WttpError) {
+    for (const key of ["site", "chain", "path"]) {
+      if (error[key] === undefined) error[key] = context[key];
+    }
+  }
+  return error;
+}
+
+/**
+ * Converts an error from a site contract call into a WttpError. A not-found
+ * revert (see isNotFoundRevert) means the site has no resource at the path; any
+ * other revert is a WttpRevertError carrying the revert data, decoded when the
+ * error is in the site ABI. A result that can't be decoded means the contract
+ * isn't a WTTP site; anything else is treated as an RPC failure.
+ */
+export function toWttpError(error, context = {}) {
+  if (error instanceof WttpError) {
+    return withErrorContext(error, context);
+  }
+
+  const { site, path } = context;
+  const reason = error?.shortMessage || error?.message || String(error);
+
+  if (error?.code === "CALL_EXCEPTION") {
+    if (isNotFoundRevert(error)) {
+      return new WttpNotFoundError(`Resource ${path} not found on ${site}`, {
+        ...context,
+        cause: error,
+      });
+    }
+    const revert = error.revert
+      ? {
+          name: error.revert.name,
+          signature: error.revert.signature,
+          args: Array.from(error.revert.args ?? []),
+        }
+      : null;
+    const revertReason =
+      error.reason ||
+      (revert ? revert.signature : `unknown error ${error.data.slice(0, 10)}`);
+    return new WttpRevertError(
+      `Site ${site} rejected ${path ?? "the request"}: ${revertReason}`,
+      {
+        ...context,
+        data: error.data,
+        revert,
+        reason: revertReason,
+        cause: error,
+      }
+    );
+  }
+
+  if (error?.code === "BAD_DATA") {
+    return new WttpContractMismatchError(
+      `Contract at ${site} is not a compatible WTTP site: ${reason}`,
+      { ...context, cause: error }
+    );
+  }
+
+  return new WttpRpcError(`RPC request failed: ${reason}`, {
+    ...context,
+    cause: error,
+  });
+}
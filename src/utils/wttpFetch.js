@@ -6,6 +6,12 @@
  *
  * SECURITY NOTE: This gateway assumes a trusted environment where all blockchain networks
  * and contract interactions are considered safe. All network calls are permissive.
+ * Pass `options.verify` to require a quorum of independent RPC endpoints to agree on
+ * every HEAD, GET and readDataPoint result instead of trusting a single endpoint.
+ * Pass `options.verifyContent` to check every chunk against its datapoint address
+ * and the whole resource against its etag and size.
+ * Content stored with a gzip, deflate or brotli `encoding` is decompressed; pass
+ * `options.decompress: false` to get the stored bytes.
  *
  * Usage:
  * ```javascript
@@ -32,7 +38,8 @@
  *   network: '1' // Chain ID as string, automatically converted to 'ethereum'
  * });
  *
- * // Using an ENS domain (with automatic mainnet fallback, normalization, caching, and provider reuse)
+ * // Using an ENS domain (with automatic mainnet fallback, ENSIP-15 normalization, wildcard and
+ * // CCIP-Read resolvers, caching, and provider reuse)
  * const result4 = await fetchWTTPResource({
  *   siteAddress: 'Example.eth', // Automatically normalized to 'example.eth' and cached
  *   path: '/index.html',
@@ -47,249 +54,632 @@
 import { ethers, JsonRpcProvider, Contract } from "ethers";
 import IBaseWTTPSiteArtifact from "../abis/IBaseWTTPSite.json";
 import IDataPointStorageArtifact from "../abis/IDataPointStorage.json";
+import {
+  createDataPointCache,
+  createMemoryDataPointStore,
+  createIndexedDbDataPointStore,
+} from "./dataPointCache.js";
+import {
+  FailoverRpcProvider,
+  getRpcEndpointHealth,
+  clearRpcEndpointHealth,
+} from "./failoverProvider.js";
+import {
+  MULTICALL3_ADDRESS,
+  registerNetwork,
+  unregisterNetwork,
+  loadNetworkConfig,
+  getNetworkConfig,
+  getNetworkNameForChain,
+  listNetworks,
+  onNetworkChange,
+} from "./chainRegistry.js";
+import {
+  WttpError,
+  WttpNotFoundError,
+  WttpRpcError,
+  WttpContractMismatchError,
+  WttpEnsError,
+  WttpIntegrityError,
+  WttpEncodingError,
+  WttpPublishError,
+  WttpRevertError,
+  withErrorContext,
+  toWttpError,
+} from "./wttpErrors.js";
+import { isTextMimeType, decodeMimeType, decodeCharset } from "./wttpCodec.js";
+import {
+  getResourceEncoding,
+  decompressContent,
+  createDecompressionStream,
+} from "./wttpDecompress.js";
+import { createWebContractV1Site } from "./webContractV1Adapter.js";
+import {
+  probeSiteContract,
+  getCachedSiteProbe,
+  clearSiteProbeCache,
+  WTTP_INTERFACE_IDS,
+} from "./siteProbe.js";
+import {
+  ENS_REGISTRY_ABI,
+  normalizeEnsDomain,
+  namehash,
+  findEnsResolver,
+  getEnsResolver,
+  setCcipReadGateway,
+} from "./ensResolver.js";
+import {
+  createEnsCache,
+  createMemoryEnsStore,
+  createLocalStorageEnsStore,
+  createIndexedDbEnsStore,
+  ensCacheKey,
+} from "./ensCache.js";
+import {
+  parseSiteReference,
+  registerNameResolver,
+  unregisterNameResolver,
+  listNameResolvers,
+  findNameResolver,
+  resolveSiteName,
+  createHostsResolver,
+  loadHostsFile,
+} from "./nameResolvers.js";
+import { WttpURL } from "./wttpUrl.js";
+import { logger, setLogLevel, getLogLevel } from "./logger.js";
+import { mapWithConcurrency } from "./utils.js";
+
+// ENS resolution cache with expiry, created on first use (null disables it)
+let ensCache;
+
+// ENS text record naming a name's WTTP site, e.g. "0xSite:137"
+const ENS_SITE_TEXT_RECORD = "wttp";
+
+// Basenames ENS registry on Base
+const BASENAMES_CHAIN_ID = 8453;
+const BASENAMES_REGISTRY_ADDRESS = "0xB94704422c2a1E396835A571837Aa5AE53285a95";
 
-// Network configurations
-const NETWORK_CONFIGS = {
-  polygon: {
-    chainId: 137,
-    rpcUrl: "https://polygon-bor-rpc.publicnode.com",
-  },
-  ethereum: {
-    chainId: 1,
-    rpcUrl: "https://eth.llamarpc.com",
-  },
-  sepolia: {
-    chainId: 11155111,
-    rpcUrl: "https://ethereum-sepolia-rpc.publicnode.com",
-  },
-  localhost: {
-    chainId: 31337,
-    rpcUrl: "http://127.0.0.1:8545",
-  },
-};
+// Provider cache to reuse providers and avoid CSP issues
+const providerCache = new Map();
 
-// ENS Registry and Resolver configurations
-const ENS_CONFIGS = {
-  1: {
-    // Mainnet
-    registryAddress: "0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e",
-    publicResolverAddress: "0x231b0Ee14048e9dCcD1d247744d114a4EB5E8E63",
-  },
-  11155111: {
-    // Sepolia
-    registryAddress: "0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e",
-    publicResolverAddress: "0x8FADE66B79cC9f707aB26799354482EB93a5B7dD",
-  },
-};
+// Network information cache to avoid getNetwork() calls
+const networkInfoCache = new Map();
 
-// ENS Registry ABI (minimal - just what we need)
-const ENS_REGISTRY_ABI = [
-  "function resolver(bytes32 node) external view returns (address)",
+// Drop cached providers when a network's registration changes
+onNetworkChange((name) => {
+  if (providerCache.delete(name)) {
+    logger.log(`🗑️ Dropped cached provider for re-registered network: ${name}`);
+  }
+});
+
+// Default number of readDataPoint calls allowed in flight at once
+const DEFAULT_DATAPOINT_CONCURRENCY = 6;
+
+// Multicall3 ABI (minimal - just aggregate3)
+const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
 ];
 
-// ENS Resolver ABI (minimal - just for address resolution)
-const ENS_RESOLVER_ABI = [
-  "function addr(bytes32 node) external view returns (address)",
+// Batching runners, one per provider so concurrent fetches share batches
+const batchingRunnerCache = new WeakMap();
+
+// Quorum runners for verified mode, keyed by chain, endpoints and quorum
+const quorumRunnerCache = new Map();
+
+// Persistent datapoint cache, created on first use (null disables caching)
+let dataPointCache;
+
+// Whole-resource cache for ETag revalidation, keyed by chain, site and path.
+// Map order is use order, so the first entries are evicted first.
+const resourceCache = new Map();
+let resourceCacheBytes = 0;
+const RESOURCE_CACHE_MAX_BYTES = 20 * 1024 * 1024;
+const RESOURCE_CACHE_MAX_ENTRIES = 200;
+
+// WTTP CachePreset values the resource cache acts on
+// (NONE, NO_CACHE, DEFAULT, SHORT, MEDIUM, LONG, PERMANENT)
+const CACHE_PRESET_NO_CACHE = 1;
+const CACHE_PRESET_PERMANENT = 6;
+
+// Byte order marks and the charset each one names
+const BYTE_ORDER_MARKS = [
+  ["utf-8", [0xef, 0xbb, 0xbf]],
+  ["utf-16be", [0xfe, 0xff]],
+  ["utf-16le", [0xff, 0xfe]],
 ];
 
-// ENS resolution cache to avoid repeated lookups and CSP issues
-const ensResolutionCache = new Map();
+// How far into an HTML document to look for <meta charset>, as browsers do
+const META_CHARSET_SCAN_BYTES = 1024;
 
-// Provider cache to reuse providers and avoid CSP issues
-const providerCache = new Map();
+// A bytes2 property code such as 0x7468
+const BYTES2_CODE_PATTERN = /^0x[0-9a-fA-F]{4}$/;
 
-// Network information cache to avoid getNetwork() calls
-const networkInfoCache = new Map();
+// DPS VERSION by DPS address; it is hashed into every datapoint address
+const dataPointVersionCache = new Map();
+
+// ABI types of the values WTTP storage hashes into a resource etag
+const ETAG_ABI_TYPES = [
+  "tuple(tuple(bytes2 mimeType, bytes2 charset, bytes2 encoding, bytes2 language) properties, uint256 size, uint256 version, uint256 lastModified, bytes32 header)",
+  "bytes32[]",
+];
 
 // Use the exact deployed ABI from artifacts to avoid tuple order/size issues
 const WEB3_SITE_ABI = IBaseWTTPSiteArtifact.abi;
 const DATA_POINT_STORAGE_ABI = IDataPointStorageArtifact.abi;
 
 /**
- * Implements the ENS namehash algorithm
- * Converts a domain name like "vitalik.eth" into a bytes32 hash
+ * Resolves an ENS domain to its WTTP site: { address, chainId, source }.
+ * The `wttp` text record can name the site and the chain it lives on (chainId
+ * is null when the name doesn't say); otherwise the name's `addr` record is
+ * used (source "text" or "addr"). With `verify` (true or { rpcUrls, quorum })
+ * the registry and resolver calls go through a quorum of endpoints, and cached
+ * answers are not reused.
  */
-function namehash(name) {
-  if (!name) return ethers.ZeroHash;
+async function resolveEnsSite(provider, domain, options = {}) {
+  const { fallbackToMainnet = true, useCache = true, verify = false } = options;
 
-  let node = ethers.ZeroHash;
-  if (name !== "") {
-    const labels = name.split(".");
-    for (let i = labels.length - 1; i >= 0; i--) {
-      const labelHash = ethers.keccak256(ethers.toUtf8Bytes(labels[i]));
-      node = ethers.keccak256(ethers.concat([node, labelHash]));
-    }
+  // ENSIP-15 normalization
+  const normalizedDomain = normalizeEnsDomain(domain);
+  if (normalizedDomain !== domain) {
+    logger.log(`📝 Normalized ENS domain: ${domain} -> ${normalizedDomain}`);
   }
-  return node;
-}
 
-/**
- * Resolves an ENS domain to its associated address
- */
-async function resolveEnsAddress(provider, domain, options = {}) {
-  const { fallbackToMainnet = true, useCache = true } = options;
+  const network = await provider.getNetwork();
+  const chainId = Number(network.chainId);
 
-  // Normalize domain to lowercase
-  const normalizedDomain = normalizeEnsDomain(domain);
-  if (normalizedDomain !== domain) {
-    console.log(`📝 Normalized ENS domain: ${domain} -> ${normalizedDomain}`);
+  // The registries to ask, in order: the request's chain (unless it has no
+  // ENS), then mainnet as a fallback
+  const lookups = [];
+  const registryAddress =
+    options.registryAddress || getNetworkConfig(chainId)?.ens?.registryAddress;
+  if (registryAddress) {
+    lookups.push({ chainId, registryAddress });
+  }
+  if (fallbackToMainnet && chainId !== 1) {
+    lookups.push({
+      chainId: 1,
+      registryAddress: getNetworkConfig(1)?.ens?.registryAddress,
+    });
+  }
+  if (lookups.length === 0) {
+    throw new WttpEnsError(`ENS not supported on chain ID ${chainId}`, {
+      chain: chainId,
+      ensName: normalizedDomain,
+    });
   }
 
-  // Check cache first
-  if (useCache) {
-    const cachedAddress = getCachedEnsAddress(normalizedDomain);
-    if (cachedAddress) {
-      console.log(
-        `⚡ Using cached ENS resolution: ${normalizedDomain} -> ${cachedAddress}`
+  const cache = useCache ? getEnsCache() : null;
+  if (cache) {
+    await cache.ready();
+  }
+
+  // Each registry's answer is cached under its own key. Only names a registry
+  // doesn't resolve are cached as failures, not RPC errors.
+  let firstError;
+  for (const lookup of lookups) {
+    const key = ensCacheKey(
+      normalizedDomain,
+      lookup.chainId,
+      lookup.registryAddress
+    );
+    const lookupProvider =
+      lookup.chainId === chainId ? provider : await getProvider("ethereum");
+    // Endpoints passed in `verify` belong to the request's chain; mainnet
+    // uses its registered ones
+    const lookupRunner = verify
+      ? await getQuorumRunner(
+          lookupProvider,
+          verify === true || lookup.chainId !== chainId ? {} : verify
+        )
+      : lookupProvider;
+
+    const cached =
+      cache && !verify
+        ? await readCachedEnsSite(cache, key, normalizedDomain, lookupProvider)
+        : null;
+    if (cached?.negative) {
+      firstError ??= new WttpEnsError(
+        `${cached.error} (cached until ${new Date(
+          cached.expiresAt
+        ).toISOString()})`,
+        { chain: lookup.chainId, ensName: normalizedDomain }
       );
-      return cachedAddress;
+      continue;
     }
-  }
+    if (cached) return toEnsSite(cached);
 
-  const network = await provider.getNetwork();
-  const chainId = Number(network.chainId);
+    if (lookup.chainId !== chainId) {
+      logger.log(
+        `🔄 Attempting fallback to mainnet for ${normalizedDomain}...`
+      );
+    } else {
+      logger.log(
+        `🔍 Resolving ENS domain: ${normalizedDomain} on chain ${chainId}`
+      );
+    }
+    try {
+      const site = await tryResolveOnNetwork(
+        lookupRunner,
+        normalizedDomain,
+        lookup.chainId,
+        { ...options, registryAddress: lookup.registryAddress }
+      );
+      cache?.set(key, site);
+      return toEnsSite(site);
+    } catch (error) {
+      rethrowIntegrityError(error, {
+        chain: lookup.chainId,
+        ensName: normalizedDomain,
+      });
+      logger.warn(
+        `❌ Failed to resolve ${normalizedDomain} on chain ${lookup.chainId}: ${error.message}`
+      );
+      firstError ??= error;
+      if (cache && error instanceof WttpEnsError) {
+        cache.setNegative(key, error, {
+          resolvedOn: lookup.chainId,
+          registryAddress: lookup.registryAddress,
+        });
+        logger.log(
+          `💾 Cached failed ENS resolution of ${normalizedDomain} on chain ${
+            lookup.chainId
+          } for ${cache.negativeTtl / 1000}s`
+        );
+      }
+    }
+  }
 
-  console.log(
-    `🔍 Resolving ENS domain: ${normalizedDomain} on chain ${chainId}`
+  // If all attempts failed, throw the first error with more context
+  throw new WttpEnsError(
+    `ENS resolution failed for ${normalizedDomain}: ${firstError.message}. This domain may not be registered or configured on the requested network.`,
+    { chain: chainId, ensName: normalizedDomain, cause: firstError }
   );
+}
 
-  // Try current network first
-  try {
-    const address = await tryResolveOnNetwork(
-      provider,
-      normalizedDomain,
-      chainId
-    );
+/**
+ * The cache entry for a lookup, or null when it isn't cached or the name's
+ * resolver has changed since it was cached. The resolver is checked at most
+ * every `resolverCheckInterval`, on `provider` (the registry's chain).
+ */
+async function readCachedEnsSite(cache, key, domain, provider) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+  if (entry.negative) return entry;
 
-    // Cache the successful resolution
-    if (useCache) {
-      setCachedEnsAddress(normalizedDomain, address);
+  if (
+    entry.resolver &&
+    Date.now() - entry.checkedAt >= cache.resolverCheckInterval
+  ) {
+    if (await hasEnsResolverChanged(entry, domain, provider)) {
+      logger.log(`🔄 Resolver for ${domain} changed, resolving again`);
+      cache.delete(key);
+      return null;
     }
+    cache.touch(key);
+  }
+
+  logger.log(`⚡ Using cached ENS resolution: ${domain} -> ${entry.address}`);
+  return entry;
+}
 
-    return address;
+/**
+ * Whether the registry now points a cached name at a different resolver.
+ * RPC failures keep the cached entry.
+ */
+async function hasEnsResolverChanged(entry, domain, provider) {
+  try {
+    const chainId = Number((await provider.getNetwork()).chainId);
+    const registryProvider =
+      entry.resolvedOn === chainId
+        ? provider
+        : await getProvider(getNetworkNameForChain(entry.resolvedOn));
+    const resolver = await findEnsResolver(
+      registryProvider,
+      domain,
+      entry.registryAddress
+    );
+    return resolver?.address.toLowerCase() !== entry.resolver.toLowerCase();
   } catch (error) {
-    console.warn(
-      `❌ Failed to resolve ${normalizedDomain} on chain ${chainId}: ${error.message}`
+    logger.warn(
+      `Could not check the resolver of ${domain}: ${error?.message || error}`
     );
+    return false;
+  }
+}
 
-    // If we're not on mainnet and fallback is enabled, try mainnet
-    if (fallbackToMainnet && chainId !== 1) {
-      console.log(
-        `🔄 Attempting fallback to mainnet for ${normalizedDomain}...`
+// The public part of a resolution or cache entry
+function toEnsSite({ address, chainId = null, source = "addr", resolver }) {
+  return { address, chainId, source, resolver: resolver ?? null };
+}
+
+/**
+ * Resolves an ENS domain to its associated site address
+ */
+async function resolveEnsAddress(provider, domain, options = {}) {
+  return (await resolveEnsSite(provider, domain, options)).address;
+}
+
+// Resolves ENS and DNS-imported names on the request's chain or mainnet
+async function resolveEnsName(siteName, { provider, ensOptions }) {
+  const site = await resolveEnsSite(provider, siteName, ensOptions);
+  return { address: site.address, chain: site.chainId };
+}
+
+/**
+ * Name resolver for ENS names kept in an L2 registry, such as Basenames
+ * (`*.base.eth`). Names are resolved on the L2 when its network is registered,
+ * and otherwise through mainnet ENS, where the parent's wildcard resolver reads
+ * the L2 via CCIP-Read.
+ *
+ * @param config  { name, suffix, chainId, registryAddress }
+ */
+export function createL2EnsResolver(config) {
+  const { name, suffix, chainId, registryAddress } = config;
+  return {
+    name,
+    pattern: (siteName) => siteName.toLowerCase().endsWith(`.${suffix}`),
+    resolve: async (siteName, context) => {
+      const network = getNetworkConfig(chainId);
+      if (!network) return resolveEnsName(siteName, context);
+
+      const site = await resolveEnsSite(
+        await getProvider(network.name),
+        siteName,
+        { ...context.ensOptions, registryAddress, fallbackToMainnet: false }
       );
-      try {
-        const mainnetProvider = new JsonRpcProvider(
-          NETWORK_CONFIGS.ethereum.rpcUrl
-        );
-        const address = await tryResolveOnNetwork(
-          mainnetProvider,
-          normalizedDomain,
-          1
-        );
-        console.log(
-          `✅ Resolved ${normalizedDomain} on mainnet fallback: ${address}`
-        );
+      return { address: site.address, chain: site.chainId };
+    },
+  };
+}
 
-        // Cache the successful mainnet resolution
-        if (useCache) {
-          setCachedEnsAddress(normalizedDomain, address);
-        }
+// Built-in name resolvers, asked after any registered later
+registerNameResolver({
+  name: "ens-dns",
+  pattern: (siteName) =>
+    /\.[a-z]{2,}$/i.test(siteName) && !isEnsAddress(siteName),
+  resolve: resolveEnsName,
+});
+registerNameResolver({
+  name: "ens",
+  pattern: (siteName) => isEnsAddress(siteName),
+  resolve: resolveEnsName,
+});
+registerNameResolver(
+  createL2EnsResolver({
+    name: "basenames",
+    suffix: "base.eth",
+    chainId: BASENAMES_CHAIN_ID,
+    registryAddress: BASENAMES_REGISTRY_ADDRESS,
+  })
+);
 
-        return address;
-      } catch (fallbackError) {
-        console.warn(
-          `❌ Mainnet fallback also failed: ${fallbackError.message}`
-        );
-      }
+/**
+ * Reads a resolver record, treating a revert (record not supported) as empty
+ */
+async function readOptionalEnsRecord(resolver, record, ...args) {
+  try {
+    return await resolver.read(record, ...args);
+  } catch (error) {
+    if (error?.code === "CALL_EXCEPTION" || error?.code === "BAD_DATA") {
+      return null;
     }
+    throw error;
+  }
+}
 
-    // If all attempts failed, throw the original error with more context
-    throw new Error(
-      `ENS resolution failed for ${normalizedDomain}: ${error.message}. This domain may not be registered or configured on the requested network.`
-    );
+/**
+ * The site named by a resolver's `wttp` text record, or null. The contenthash
+ * is not read: ENSIP-7 has no codec for WTTP URLs.
+ */
+async function readEnsSiteRecord(resolver, domain) {
+  const value = await readOptionalEnsRecord(
+    resolver,
+    "text",
+    ENS_SITE_TEXT_RECORD
+  );
+  if (!value) return null;
+  try {
+    const site = parseSiteReference(value);
+    if (site) return { ...site, source: "text" };
+  } catch (error) {
+    logger.warn(`Ignoring text record of ${domain}: ${error.message}`);
   }
+  return null;
 }
 
 /**
- * Helper function to try resolving ENS on a specific network
+ * Helper function to try resolving ENS on a specific network. Wildcard
+ * (ENSIP-10) and offchain (CCIP-Read) resolvers are supported, and
+ * `options.registryAddress` overrides the network's ENS registry.
  */
-async function tryResolveOnNetwork(provider, domain, chainId) {
-  const ensConfig = ENS_CONFIGS[chainId];
-  if (!ensConfig) {
+async function tryResolveOnNetwork(provider, domain, chainId, options = {}) {
+  const registryAddress =
+    options.registryAddress || getNetworkConfig(chainId)?.ens?.registryAddress;
+  if (!registryAddress) {
     throw new Error(`ENS not supported on chain ID ${chainId}`);
   }
 
-  // Calculate the namehash for the domain
-  const node = namehash(domain);
-  console.log(`📝 Namehash for ${domain}: ${node}`);
-
-  // Get the ENS Registry contract
-  const registryContract = new Contract(
-    ensConfig.registryAddress,
-    ENS_REGISTRY_ABI,
-    provider
-  );
+  const resolver = await getEnsResolver(provider, domain, {
+    registryAddress,
+    ccipReadGateway: options.ccipReadGateway,
+  });
+  if (!resolver) {
+    throw new WttpEnsError(
+      `No resolver set for domain ${domain} on chain ${chainId}`,
+      { chain: chainId, ensName: domain }
+    );
+  }
 
-  // Get the resolver address for this domain
-  const resolverAddress = await registryContract.resolver(node);
-  console.log(`🔗 Resolver address on chain ${chainId}: ${resolverAddress}`);
+  // Where the name was resolved, so a cached entry can check its resolver
+  const resolvedBy = {
+    resolver: resolver.address,
+    resolvedOn: chainId,
+    registryAddress,
+  };
 
-  if (resolverAddress === ethers.ZeroAddress) {
-    throw new Error(`No resolver set for domain ${domain} on chain ${chainId}`);
+  const record = await readEnsSiteRecord(resolver, domain);
+  if (record) {
+    const site = { ...record, ...resolvedBy };
+    logger.log(
+      `✅ ${domain} names site ${site.address}${
+        site.chainId ? ` on chain ${site.chainId}` : ""
+      } (${site.source} record)`
+    );
+    return site;
   }
 
-  // Get the resolver contract and resolve the address
-  const resolverContract = new Contract(
-    resolverAddress,
-    ENS_RESOLVER_ABI,
-    provider
-  );
+  const address = await resolver.read("addr");
+  if (address === ethers.ZeroAddress) {
+    throw new WttpEnsError(
+      `No address set for domain ${domain} on chain ${chainId}`,
+      { chain: chainId, ensName: domain }
+    );
+  }
 
-  const address = await resolverContract.addr(node);
-  console.log(
+  logger.log(
     `✅ Resolved ${domain} to address: ${address} on chain ${chainId}`
   );
+  return { address, chainId: null, source: "addr", ...resolvedBy };
+}
 
-  if (address === ethers.ZeroAddress) {
-    throw new Error(`No address set for domain ${domain} on chain ${chainId}`);
+/**
+ * Gets the shared ENS cache, persisted in localStorage or IndexedDB where
+ * available
+ */
+function getEnsCache() {
+  if (ensCache === undefined) {
+    ensCache = createEnsCache({ store: createDefaultEnsStore() });
   }
+  return ensCache;
+}
 
-  return address;
+function createDefaultEnsStore() {
+  try {
+    if (typeof localStorage !== "undefined") {
+      return createLocalStorageEnsStore();
+    }
+  } catch (error) {
+    // Storage can be blocked, e.g. in sandboxed iframes
+  }
+  return typeof indexedDB !== "undefined"
+    ? createIndexedDbEnsStore()
+    : createMemoryEnsStore();
 }
 
 /**
- * Normalizes an ENS domain to lowercase for consistent processing
+ * Replace the shared ENS cache (pass null to disable caching)
  */
-function normalizeEnsDomain(domain) {
-  if (typeof domain !== "string") {
-    throw new Error("ENS domain must be a string");
+function setEnsCache(cache) {
+  ensCache = cache;
+  logger.log(cache ? "💽 ENS cache configured" : "💽 ENS cache disabled");
+}
+
+/**
+ * Cache key for a name in a registry: `registry` is { chainId,
+ * registryAddress }, mainnet ENS by default
+ */
+function toEnsCacheKey(domain, registry = {}) {
+  const { chainId = 1 } = registry;
+  const registryAddress =
+    registry.registryAddress || getNetworkConfig(chainId)?.ens?.registryAddress;
+  if (!registryAddress) {
+    throw new Error(`ENS not supported on chain ID ${chainId}`);
   }
-  return domain.toLowerCase().trim();
+  return ensCacheKey(normalizeEnsDomain(domain), chainId, registryAddress);
 }
 
 /**
  * Get cached ENS resolution if available
  */
-function getCachedEnsAddress(domain) {
-  const normalizedDomain = normalizeEnsDomain(domain);
-  return ensResolutionCache.get(normalizedDomain);
+function getCachedEnsAddress(domain, registry) {
+  return getCachedEnsSite(domain, registry)?.address;
+}
+
+/**
+ * Get the cached ENS site ({ address, chainId, source, resolver }) if
+ * available. `registry` ({ chainId, registryAddress }) picks the registry the
+ * name was looked up in, mainnet ENS by default. Names cached as failures
+ * return undefined.
+ */
+function getCachedEnsSite(domain, registry) {
+  const entry = getEnsCacheEntry(domain, registry);
+  return entry && !entry.negative ? toEnsSite(entry) : undefined;
 }
 
 /**
- * Cache an ENS resolution result
+ * The live cache entry for a name in a registry, including failures, or
+ * undefined
  */
-function setCachedEnsAddress(domain, address) {
+function getEnsCacheEntry(domain, registry) {
+  let key;
+  try {
+    key = toEnsCacheKey(domain, registry);
+  } catch (error) {
+    // Names ENS can't normalize (e.g. hosts entries) are never cached
+    return undefined;
+  }
+  const entry = getEnsCache()?.get(key);
+  return entry && { key, name: normalizeEnsDomain(domain), ...entry };
+}
+
+/**
+ * Lists live ENS cache entries, oldest first
+ */
+function listEnsCacheEntries() {
+  return getEnsCache()?.entries() ?? [];
+}
+
+/**
+ * Cache an ENS resolution result. `site` can add the chain the name's records
+ * point to ({ chainId, source }), the registry it was looked up in ({
+ * resolvedOn, registryAddress }, mainnet ENS by default) and a `ttl` in
+ * milliseconds.
+ */
+function setCachedEnsAddress(domain, address, site = {}) {
+  const { ttl, resolvedOn = 1, registryAddress, ...rest } = site;
+  const key = toEnsCacheKey(domain, { chainId: resolvedOn, registryAddress });
+  getEnsCache()?.set(
+    key,
+    {
+      ...rest,
+      address,
+      resolvedOn,
+      registryAddress:
+        registryAddress || getNetworkConfig(resolvedOn)?.ens?.registryAddress,
+    },
+    ttl
+  );
+  logger.log(`💾 Cached ENS resolution: ${key} -> ${address}`);
+}
+
+/**
+ * Forget a cached name (resolution or failure). Without `registry` the name is
+ * forgotten in every registry. Returns true if it was cached.
+ */
+function invalidateEnsName(domain, registry) {
+  const cache = getEnsCache();
+  if (!cache) return false;
   const normalizedDomain = normalizeEnsDomain(domain);
-  ensResolutionCache.set(normalizedDomain, address);
-  console.log(`💾 Cached ENS resolution: ${normalizedDomain} -> ${address}`);
+  const keys = registry
+    ? [toEnsCacheKey(normalizedDomain, registry)]
+    : cache
+        .entries()
+        .filter(({ name }) => name === normalizedDomain)
+        .map(({ key }) => key);
+  const removed = keys.filter((key) => cache.delete(key)).length > 0;
+  if (removed) {
+    logger.log(`🗑️ Invalidated cached ENS resolution of ${normalizedDomain}`);
+  }
+  return removed;
 }
 
 /**
  * Clear ENS resolution cache (useful for testing)
  */
-function clearEnsCache() {
-  ensResolutionCache.clear();
-  console.log("🗑️ ENS resolution cache cleared");
+async function clearEnsCache() {
+  if (ensCache) {
+    await ensCache.clear();
+  }
 }
 
 /**
@@ -304,7 +694,7 @@ function getCachedProvider(networkKey) {
  */
 function setCachedProvider(networkKey, provider) {
   providerCache.set(networkKey, provider);
-  console.log(`🌐 Cached provider for network: ${networkKey}`);
+  logger.log(`🌐 Cached provider for network: ${networkKey}`);
 }
 
 /**
@@ -312,7 +702,7 @@ function setCachedProvider(networkKey, provider) {
  */
 function clearProviderCache() {
   providerCache.clear();
-  console.log("🗑️ Provider cache cleared");
+  logger.log("🗑️ Provider cache cleared");
 }
 
 /**
@@ -321,7 +711,7 @@ function clearProviderCache() {
 function setCachedNetworkInfo(provider, networkInfo) {
   const networkKey = `${networkInfo.chainId}`;
   networkInfoCache.set(networkKey, networkInfo);
-  console.log(`🔗 Cached network info for chain ${networkInfo.chainId}`);
+  logger.log(`🔗 Cached network info for chain ${networkInfo.chainId}`);
 }
 
 /**
@@ -336,7 +726,60 @@ function getCachedNetworkInfo(chainId) {
  */
 function clearNetworkCache() {
   networkInfoCache.clear();
-  console.log("🗑️ Network cache cleared");
+  logger.log("🗑️ Network cache cleared");
+}
+
+/**
+ * Get a cached resource entry if available, marking it recently used
+ */
+function getCachedResource(key) {
+  const entry = resourceCache.get(key);
+  if (entry) {
+    resourceCache.delete(key);
+    resourceCache.set(key, entry);
+  }
+  return entry;
+}
+
+/**
+ * Cache a resource along with the validators needed to revalidate it. The
+ * least recently used entries are evicted beyond 20 MB or 200 resources.
+ */
+function setCachedResource(key, entry) {
+  const size = entry.content?.length ?? 0;
+  if (size > RESOURCE_CACHE_MAX_BYTES) return;
+  deleteCachedResource(key);
+  resourceCache.set(key, { ...entry, size });
+  resourceCacheBytes += size;
+  logger.log(`💾 Cached resource: ${key} (etag ${entry.etag})`);
+
+  for (const oldKey of resourceCache.keys()) {
+    if (
+      resourceCacheBytes <= RESOURCE_CACHE_MAX_BYTES &&
+      resourceCache.size <= RESOURCE_CACHE_MAX_ENTRIES
+    ) {
+      break;
+    }
+    deleteCachedResource(oldKey);
+    logger.log(`🧹 Evicted cached resource: ${oldKey}`);
+  }
+}
+
+function deleteCachedResource(key) {
+  const entry = resourceCache.get(key);
+  if (!entry) return false;
+  resourceCache.delete(key);
+  resourceCacheBytes -= entry.size;
+  return true;
+}
+
+/**
+ * Clear resource cache (useful for testing)
+ */
+function clearResourceCache() {
+  resourceCache.clear();
+  resourceCacheBytes = 0;
+  logger.log("🗑️ Resource cache cleared");
 }
 
 /**
@@ -380,12 +823,9 @@ function resolveRedirectPath(currentPath, location) {
   if (location.startsWith("/")) {
     return location;
   }
-  // If it looks like a full WTTP URL, try to extract the path portion after the chain segment
+  // A full WTTP URL: follow its path
   if (location.startsWith("wttp://")) {
-    const parts = location.split(":");
-    const afterChain = parts[parts.length - 1];
-    // afterChain begins with path (e.g., "/index.html" or "/"), ensure it's normalized
-    return normalizePath(afterChain);
+    return new WttpURL(location).path;
   }
 
   // Relative path resolution
@@ -423,15 +863,16 @@ async function getProvider(network, customProvider) {
   if (customProvider) {
     return customProvider;
   }
-  console.log("Fetching provider for network:", network);
+  logger.log("Fetching provider for network:", network);
 
-  // Create a cache key
-  const networkKey = network || "polygon";
+  // Create a cache key (aliases share the canonical network's provider)
+  const networkKey =
+    getNetworkConfig(network || "polygon")?.name || network || "polygon";
 
   // Check cache first
   const cachedProvider = getCachedProvider(networkKey);
   if (cachedProvider) {
-    console.log(`⚡ Using cached provider for network: ${networkKey}`);
+    logger.log(`⚡ Using cached provider for network: ${networkKey}`);
     return cachedProvider;
   }
 
@@ -444,20 +885,22 @@ async function getProvider(network, customProvider) {
   ) {
     provider = new JsonRpcProvider(network);
   } else {
-    // Use predefined network configuration
-    const networkConfig = network
-      ? NETWORK_CONFIGS[network]
-      : NETWORK_CONFIGS.polygon;
+    // Use registered network configuration
+    const networkConfig = getNetworkConfig(networkKey);
 
     if (!networkConfig) {
       throw new Error(
-        `Unsupported network: ${network}. Supported networks: ${Object.keys(
-          NETWORK_CONFIGS
-        ).join(", ")}`
+        `Unsupported network: ${network}. Supported networks: ${listNetworks()
+          .map(({ name }) => name)
+          .join(", ")}`
       );
     }
 
-    provider = new JsonRpcProvider(networkConfig.rpcUrl);
+    // Fail over between the network's endpoints, fastest healthy one first
+    provider = new FailoverRpcProvider(
+      networkConfig.rpcUrls,
+      networkConfig.chainId
+    );
   }
 
   // Cache the provider
@@ -468,71 +911,609 @@ async function getProvider(network, customProvider) {
     const networkInfo = await provider.getNetwork();
     setCachedNetworkInfo(provider, networkInfo);
   } catch (error) {
-    console.warn(
+    logger.warn(
       `Failed to cache network info for ${networkKey}:`,
       error.message
     );
   }
 
-  console.log("Returning cached provider:", provider);
+  logger.log("Returning cached provider:", provider);
 
   return provider;
 }
 
 /**
- * Reads content from an array of datapoints using the DPS contract
+ * Creates a contract runner that queues eth_calls made within a short window
+ * and sends them as a single Multicall3 aggregate3 call. When Multicall3 is not
+ * deployed on the provider's chain (or `multicallAddress` is null), the queued calls
+ * are dispatched together so the JsonRpcProvider sends them as one JSON-RPC batch.
  */
-async function readDataPointsContent(provider, siteAddress, dataPoints) {
-  console.log(`📥 Reading content from ${dataPoints.length} datapoints...`);
+function createBatchingRunner(provider, options = {}) {
+  const {
+    windowMs = 10,
+    maxBatchSize = 20,
+    multicallAddress = MULTICALL3_ADDRESS,
+  } = options;
 
-  if (!siteAddress || !dataPoints || dataPoints.length === 0) {
-    throw new Error("Valid site address and datapoints array required");
+  const multicall = new ethers.Interface(MULTICALL3_ABI);
+  let queue = [];
+  let timer = null;
+  let multicallAvailable = null;
+
+  const hasMulticall = () => {
+    if (!multicallAddress) {
+      return Promise.resolve(false);
+    }
+    if (!multicallAvailable) {
+      multicallAvailable = provider
+        .getCode(multicallAddress)
+        .then((code) => {
+          const available = !!code && code !== "0x";
+          logger.log(
+            available
+              ? `🧮 Multicall3 found at ${multicallAddress}`
+              : "⚠️ Multicall3 not deployed, falling back to JSON-RPC batching"
+          );
+          return available;
+        })
+        .catch((error) => {
+          logger.warn("Multicall3 detection failed:", error?.message || error);
+          return false;
+        });
+    }
+    return multicallAvailable;
+  };
+
+  const dispatchIndividually = (batch) => {
+    for (const { tx, resolve, reject } of batch) {
+      provider.call(tx).then(resolve, reject);
+    }
+  };
+
+  const dispatchMulticall = async (batch) => {
+    const data = multicall.encodeFunctionData("aggregate3", [
+      batch.map(({ tx }) => ({
+        target: tx.to,
+        allowFailure: true,
+        callData: tx.data,
+      })),
+    ]);
+    const raw = await provider.call({ to: multicallAddress, data });
+    const [results] = multicall.decodeFunctionResult("aggregate3", raw);
+
+    batch.forEach(({ tx, resolve, reject }, i) => {
+      const { success, returnData } = results[i];
+      if (success) {
+        resolve(returnData);
+      } else {
+        reject(
+          ethers.makeError("execution reverted", "CALL_EXCEPTION", {
+            action: "call",
+            data: returnData,
+            reason: null,
+            transaction: tx,
+            invocation: null,
+            revert: null,
+          })
+        );
+      }
+    });
+  };
+
+  const flush = async () => {
+    timer = null;
+    const batch = queue;
+    queue = [];
+    if (batch.length === 0) return;
+
+    for (let i = 0; i < batch.length; i += maxBatchSize) {
+      const slice = batch.slice(i, i + maxBatchSize);
+      if (slice.length === 1 || !(await hasMulticall())) {
+        dispatchIndividually(slice);
+        continue;
+      }
+      logger.log(`📦 Sending ${slice.length} calls via Multicall3`);
+      dispatchMulticall(slice).catch((error) => {
+        // A failed aggregate (e.g. gas cap exceeded) should not fail every call
+        logger.warn(
+          "Multicall3 aggregate failed, retrying calls individually:",
+          error?.shortMessage || error?.message || error
+        );
+        dispatchIndividually(slice);
+      });
+    }
+  };
+
+  return {
+    provider,
+    call(tx) {
+      // Only plain view calls can be aggregated
+      if (!tx.to || !tx.data || tx.from || tx.value || tx.blockTag) {
+        return provider.call(tx);
+      }
+      return new Promise((resolve, reject) => {
+        queue.push({ tx, resolve, reject });
+        if (queue.length >= maxBatchSize) {
+          clearTimeout(timer);
+          flush();
+        } else if (!timer) {
+          timer = setTimeout(flush, windowMs);
+        }
+      });
+    },
+  };
+}
+
+/**
+ * Gets the shared batching runner for a provider, creating it on first use
+ */
+function getBatchingRunner(provider, options = {}) {
+  let runner = batchingRunnerCache.get(provider);
+  if (!runner) {
+    runner = createBatchingRunner(provider, options);
+    batchingRunnerCache.set(provider, runner);
+    logger.log("📦 Created batching runner for provider");
+  }
+  return runner;
+}
+
+/**
+ * Describes the outcome of an eth_call or getCode() for comparison across
+ * endpoints, using a short hash of the returned data. Reverts are votes like
+ * any result; transport failures are not votes.
+ */
+function describeCallOutcome(outcome) {
+  if (outcome.status === "fulfilled") {
+    return {
+      vote: `result ${ethers.keccak256(outcome.value).substring(0, 18)}`,
+    };
+  }
+  const error = outcome.reason;
+  if (error?.code === "CALL_EXCEPTION") {
+    return {
+      vote: `revert ${ethers.keccak256(error.data || "0x").substring(0, 18)}`,
+    };
+  }
+  return { vote: null };
+}
+
+/**
+ * Creates a contract runner that sends every eth_call and getCode() to all of
+ * the given endpoints and only accepts a result returned by at least `quorum`
+ * of them.
+ * Conflicting answers raise an integrity error naming each endpoint's result.
+ */
+function createQuorumRunner(provider, rpcUrls, chainId, quorum) {
+  const network = ethers.Network.from(chainId);
+  const endpoints = rpcUrls.map((url) => ({
+    url,
+    provider: new JsonRpcProvider(url, network, { staticNetwork: network }),
+  }));
+
+  // Sends a request to every endpoint and returns the answer at least
+  // `quorum` of them gave
+  async function agree(what, request) {
+    const outcomes = await Promise.allSettled(
+      endpoints.map((endpoint) => request(endpoint.provider))
+    );
+
+    // Group endpoints by the answer they gave
+    const groups = new Map();
+    const unavailable = [];
+    outcomes.forEach((outcome, i) => {
+      const { vote } = describeCallOutcome(outcome);
+      if (vote === null) {
+        unavailable.push(endpoints[i].url);
+        return;
+      }
+      if (!groups.has(vote)) groups.set(vote, { outcome, urls: [] });
+      groups.get(vote).urls.push(endpoints[i].url);
+    });
+
+    const agreed = Array.from(groups.values()).find(
+      (group) => group.urls.length >= quorum
+    );
+    if (agreed) {
+      if (groups.size > 1) {
+        logger.warn(
+          `⚠️ Quorum reached for ${what} despite disagreement from ${
+            endpoints.length - agreed.urls.length - unavailable.length
+          } endpoint(s)`
+        );
+      }
+      if (agreed.outcome.status === "rejected") {
+        throw agreed.outcome.reason;
+      }
+      return agreed.outcome.value;
+    }
+
+    const summary = Array.from(groups.entries())
+      .map(([vote, group]) => `${group.urls.join(", ")} => ${vote}`)
+      .join("; ");
+    const error = new WttpIntegrityError(
+      groups.size > 1
+        ? `RPC endpoints disagree on ${what} (quorum ${quorum}/${endpoints.length}): ${summary}`
+        : `Only ${
+            endpoints.length - unavailable.length
+          } of ${quorum} required endpoints answered ${what}${
+            unavailable.length
+              ? ` (unavailable: ${unavailable.join(", ")})`
+              : ""
+          }`,
+      { chain: Number(chainId) }
+    );
+    error.endpoints = Object.fromEntries(
+      Array.from(groups.entries()).flatMap(([vote, group]) =>
+        group.urls.map((url) => [url, vote])
+      )
+    );
+    error.unavailable = unavailable;
+    throw error;
+  }
+
+  return {
+    provider,
+    getCode: (address) =>
+      agree(`getCode(${address})`, (endpoint) => endpoint.getCode(address)),
+    call: (tx) => agree(`call to ${tx.to}`, (endpoint) => endpoint.call(tx)),
+  };
+}
+
+/**
+ * Integrity failures must reach the caller instead of being treated as "not found"
+ */
+function rethrowIntegrityError(error, context = {}) {
+  if (error instanceof WttpIntegrityError) {
+    throw withErrorContext(error, context);
   }
+}
 
+/**
+ * Gets the shared quorum runner for the provider's chain. Endpoints come from
+ * the `rpcUrls` option or the chain's registered network; quorum defaults to a
+ * majority.
+ */
+async function getQuorumRunner(provider, options = {}) {
+  const { chainId } = await provider.getNetwork();
+  const rpcUrls = options.rpcUrls || getNetworkConfig(chainId)?.rpcUrls || [];
+  if (rpcUrls.length < 2) {
+    throw new Error(
+      `Verified mode requires at least 2 RPC endpoints for chain ${chainId}; pass verify.rpcUrls or register the network`
+    );
+  }
+
+  const quorum = options.quorum || Math.floor(rpcUrls.length / 2) + 1;
+  if (quorum < 2 || quorum > rpcUrls.length) {
+    throw new Error(
+      `Invalid quorum ${quorum} for ${rpcUrls.length} RPC endpoints`
+    );
+  }
+
+  const key = `${chainId}|${rpcUrls.join(",")}|${quorum}`;
+  let runner = quorumRunnerCache.get(key);
+  if (!runner) {
+    runner = createQuorumRunner(provider, rpcUrls, chainId, quorum);
+    quorumRunnerCache.set(key, runner);
+    logger.log(
+      `🛡️ Verified mode: quorum ${quorum}/${rpcUrls.length} on chain ${chainId}`
+    );
+  }
+  return runner;
+}
+
+/**
+ * Gets the shared datapoint cache, backed by IndexedDB where available
+ */
+function getDataPointCache() {
+  if (dataPointCache === undefined) {
+    const store =
+      typeof indexedDB !== "undefined"
+        ? createIndexedDbDataPointStore()
+        : createMemoryDataPointStore();
+    dataPointCache = createDataPointCache({ store });
+  }
+  return dataPointCache;
+}
+
+/**
+ * Replace the shared datapoint cache (pass null to disable caching)
+ */
+function setDataPointCache(cache) {
+  dataPointCache = cache;
+  logger.log(
+    cache ? "💽 Datapoint cache configured" : "💽 Datapoint cache disabled"
+  );
+}
+
+/**
+ * Clear the shared datapoint cache (useful for testing)
+ */
+async function clearDataPointCache() {
+  if (dataPointCache) {
+    await dataPointCache.clear();
+  }
+}
+
+/**
+ * Picks the cache for a request: `false` disables it, a cache object overrides
+ * the shared one, anything else uses the shared cache. Verified reads skip it,
+ * since cached chunks may have come from a single unverified endpoint.
+ */
+function resolveDataPointCache(options) {
+  const { dataPointCache: cacheOption, verify = false } = options;
+  if (cacheOption === false || verify) return null;
+  if (cacheOption && typeof cacheOption === "object") return cacheOption;
+  return getDataPointCache();
+}
+
+/**
+ * Returns a function that loads the site's DPS contract once, on first call.
+ * `dataPointStorage` (from a legacy site adapter) is used instead when given.
+ */
+function lazyDataPointStorage(provider, siteAddress, dataPointStorage) {
+  if (dataPointStorage) {
+    return async () => dataPointStorage;
+  }
+  let dpsContractPromise;
+  return () => {
+    if (!dpsContractPromise) {
+      dpsContractPromise = getDataPointStorage(provider, siteAddress);
+    }
+    return dpsContractPromise;
+  };
+}
+
+/**
+ * Gets the DPS contract used by a site
+ */
+async function getDataPointStorage(provider, siteAddress) {
   // Get the site contract to access DPS
   const siteContract = new Contract(siteAddress, WEB3_SITE_ABI, provider);
   const dpsAddress = await siteContract.DPS();
 
-  console.log(`🔗 Loading DPS at address ${dpsAddress}...`);
+  logger.log(`🔗 Loading DPS at address ${dpsAddress}...`);
 
   // Get the DPS contract
-  const dpsContract = new Contract(
-    dpsAddress,
-    DATA_POINT_STORAGE_ABI,
-    provider
+  return new Contract(dpsAddress, DATA_POINT_STORAGE_ABI, provider);
+}
+
+/**
+ * Computes a datapoint address locally, the way IDataPointStorage.calculateAddress
+ * does: keccak256(abi.encodePacked(data, uint8 VERSION))
+ */
+function calculateDataPointAddress(data, version) {
+  return ethers.solidityPackedKeccak256(["bytes", "uint8"], [data, version]);
+}
+
+/**
+ * Computes a resource etag the way WTTP storage does: keccak256 of the
+ * ABI-encoded resource metadata and datapoint addresses
+ */
+function computeResourceEtag(metadata, dataPoints) {
+  const { properties, size, version, lastModified, header } = metadata;
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(ETAG_ABI_TYPES, [
+      {
+        properties: {
+          mimeType: properties.mimeType,
+          charset: properties.charset,
+          encoding: properties.encoding,
+          language: properties.language,
+        },
+        size,
+        version,
+        lastModified,
+        header,
+      },
+      dataPoints,
+    ])
   );
+}
+
+/**
+ * Gets the VERSION of a DPS contract, cached by address (it is pure)
+ */
+async function getDataPointVersion(dpsContract) {
+  const key = String(dpsContract.target).toLowerCase();
+  if (!dataPointVersionCache.has(key)) {
+    dataPointVersionCache.set(key, await dpsContract.VERSION());
+  }
+  return dataPointVersionCache.get(key);
+}
 
-  // Read all datapoints and combine their content with progress reporting
-  const contents = [];
-  let totalBytesRead = 0;
-
-  for (let i = 0; i < dataPoints.length; i++) {
-    const dataPointAddress = dataPoints[i];
-    const progress = Math.round(((i + 1) / dataPoints.length) * 100);
-    console.log(
-      `📊 Reading chunk ${i + 1}/${
-        dataPoints.length
-      } (${progress}%): ${dataPointAddress.substring(0, 10)}...`
+/**
+ * Returns a function that checks chunk `i` against its datapoint address,
+ * throwing a WttpIntegrityError that names the chunk's index in the resource
+ * (`firstChunkIndex` + i) on a mismatch
+ */
+function createChunkVerifier(getDpsContract, dataPoints, firstChunkIndex = 0) {
+  let versionPromise;
+  return async (chunk, i) => {
+    if (!versionPromise) {
+      versionPromise = getDpsContract().then(getDataPointVersion);
+      // Let the next chunk retry if the lookup failed
+      versionPromise.catch(() => (versionPromise = undefined));
+    }
+    const expected = dataPoints[i];
+    const actual = calculateDataPointAddress(chunk, await versionPromise);
+    if (actual.toLowerCase() !== expected.toLowerCase()) {
+      const chunkIndex = firstChunkIndex + i;
+      throw new WttpIntegrityError(
+        `Chunk ${chunkIndex} failed verification: its ${chunk.length} bytes hash to ${actual}, expected datapoint ${expected}`,
+        { chunkIndex }
+      );
+    }
+  };
+}
+
+/**
+ * Checks that the datapoint list of a complete resource matches its etag.
+ * Skipped for resources without an etag.
+ */
+function verifyResourceEtag(head, dataPoints, context) {
+  if (head.etag === ethers.ZeroHash) return;
+  const etag = computeResourceEtag(head.metadata, dataPoints);
+  if (etag !== head.etag) {
+    throw new WttpIntegrityError(
+      `Datapoints of ${context.path} don't match its etag: computed ${etag}, site reports ${head.etag}`,
+      context
     );
+  }
+}
 
-    try {
-      const dataPointContent = await dpsContract.readDataPoint(
-        dataPointAddress
+/**
+ * Checks that the reassembled size of a complete resource matches its metadata
+ */
+function verifyResourceSize(head, size, context) {
+  if (BigInt(size) !== head.metadata.size) {
+    throw new WttpIntegrityError(
+      `Content of ${context.path} is ${size} bytes, metadata says ${head.metadata.size}`,
+      context
+    );
+  }
+}
+
+/**
+ * Resource index of the first datapoint a response lists: 0 for complete
+ * lists, otherwise the start of the chunk `range` option
+ */
+function getFirstChunkIndex(range, response, dataPoints) {
+  if (BigInt(dataPoints.length) === response.resource.totalChunks) return 0;
+  const start = Number(range?.start ?? 0);
+  return start > 0 ? start : 0;
+}
+
+/**
+ * Whether a response lists every datapoint of the resource, so it can be
+ * checked against the etag and size
+ */
+function isCompleteResource(response, dataPoints) {
+  return (
+    response.head.status === 200n &&
+    BigInt(dataPoints.length) === response.resource.totalChunks
+  );
+}
+
+/**
+ * Reads a single datapoint chunk, with the chunk index used for error context.
+ * Chunks are served from the cache when present and cached after a read. With
+ * `verifyChunk`, chunks are checked before use; a cached chunk that fails is
+ * dropped and read again.
+ */
+async function readDataPointChunk(
+  getDpsContract,
+  dataPoints,
+  i,
+  cache,
+  verifyChunk = null
+) {
+  const dataPointAddress = dataPoints[i];
+
+  if (cache) {
+    const cached = await cache.get(dataPointAddress);
+    let valid = Boolean(cached);
+    if (cached && verifyChunk) {
+      valid = await verifyChunk(cached, i).then(
+        () => true,
+        async (error) => {
+          if (!(error instanceof WttpIntegrityError)) throw error;
+          logger.warn(
+            `⚠️ Cached chunk ${error.chunkIndex} failed verification, reading it again`
+          );
+          await cache.delete(dataPointAddress);
+          return false;
+        }
       );
-      const chunk = new Uint8Array(ethers.toBeArray(dataPointContent));
-      contents.push(chunk);
-      totalBytesRead += chunk.length;
-      console.log(`✅ Chunk ${i + 1} read: ${chunk.length} bytes`);
-    } catch (error) {
-      console.error(`❌ Failed to read datapoint ${dataPointAddress}:`, error);
-      throw new Error(
-        `Failed to read datapoint ${i + 1}/${dataPoints.length}: ${error}`
+    }
+    if (valid) {
+      logger.log(
+        `⚡ Chunk ${i + 1}/${dataPoints.length} served from cache: ${
+          cached.length
+        } bytes`
       );
+      return cached;
+    }
+  }
+
+  try {
+    const dpsContract = await getDpsContract();
+    const dataPointContent = await dpsContract.readDataPoint(dataPointAddress);
+    const chunk = ethers.getBytes(dataPointContent);
+    logger.log(
+      `✅ Chunk ${i + 1}/${dataPoints.length} read: ${
+        chunk.length
+      } bytes from ${dataPointAddress.substring(0, 10)}...`
+    );
+    if (verifyChunk) {
+      await verifyChunk(chunk, i);
     }
+    if (cache) {
+      await cache.set(dataPointAddress, chunk);
+    }
+    return chunk;
+  } catch (error) {
+    logger.error(`❌ Failed to read datapoint ${dataPointAddress}:`, error);
+    if (error instanceof WttpError) {
+      throw error;
+    }
+    throw new WttpRpcError(
+      `Failed to read datapoint ${i + 1}/${dataPoints.length}: ${
+        error?.shortMessage || error?.message || error
+      }`,
+      { cause: error }
+    );
+  }
+}
+
+/**
+ * Reads content from an array of datapoints using the DPS contract.
+ * Accepts a provider or any contract runner, such as a batching runner.
+ */
+async function readDataPointsContent(
+  provider,
+  siteAddress,
+  dataPoints,
+  options = {}
+) {
+  const {
+    concurrency = DEFAULT_DATAPOINT_CONCURRENCY,
+    cache = null,
+    verifyContent = false,
+    firstChunkIndex = 0, // resource index of dataPoints[0], for errors
+    dataPointStorage, // chunk reader for legacy sites, instead of the DPS
+  } = options;
+  logger.log(
+    `📥 Reading content from ${dataPoints.length} datapoints (concurrency ${concurrency})...`
+  );
+
+  if (!siteAddress || !dataPoints || dataPoints.length === 0) {
+    throw new Error("Valid site address and datapoints array required");
   }
 
+  // DPS is only looked up if a chunk is missing from the cache
+  const getDpsContract = lazyDataPointStorage(
+    provider,
+    siteAddress,
+    dataPointStorage
+  );
+  const verifyChunk = verifyContent
+    ? createChunkVerifier(getDpsContract, dataPoints, firstChunkIndex)
+    : null;
+  // Legacy chunks aren't content-addressed, so they can't be cached by id
+  const chunkCache = dataPointStorage ? null : cache;
+
+  // Read datapoints in parallel; chunks land in their original slots
+  const contents = await mapWithConcurrency(dataPoints, concurrency, (_, i) =>
+    readDataPointChunk(getDpsContract, dataPoints, i, chunkCache, verifyChunk)
+  );
+
+  const totalBytesRead = contents.reduce(
+    (total, chunk) => total + chunk.length,
+    0
+  );
+
   // Combine all content chunks with optimized allocation
-  console.log(
+  logger.log(
     `🔗 Combining ${dataPoints.length} chunks (${totalBytesRead} total bytes)...`
   );
   const combined = new Uint8Array(totalBytesRead);
@@ -544,97 +1525,408 @@ async function readDataPointsContent(provider, siteAddress, dataPoints) {
     offset += chunk.length;
   }
 
-  console.log(
+  logger.log(
     `✅ Successfully reconstructed ${combined.length} bytes from ${dataPoints.length} chunks`
   );
   return combined;
 }
 
 /**
- * Main function to fetch a resource from a WTTP site
+ * Creates a ReadableStream that emits datapoint chunks in order. Up to
+ * `concurrency` reads run ahead of the consumer; cancelling the stream stops
+ * any further reads from being started.
  */
+function createDataPointStream(
+  provider,
+  siteAddress,
+  dataPoints,
+  options = {}
+) {
+  const {
+    concurrency = DEFAULT_DATAPOINT_CONCURRENCY,
+    cache = null,
+    errorContext = {}, // { site, chain, path } added to read errors
+    verifyContent = false,
+    firstChunkIndex = 0, // resource index of dataPoints[0], for errors
+    expectedSize, // checked once every chunk is read, when set
+    dataPointStorage, // chunk reader for legacy sites, instead of the DPS
+  } = options;
+
+  if (!siteAddress || !dataPoints || dataPoints.length === 0) {
+    throw new Error("Valid site address and datapoints array required");
+  }
+
+  const getDpsContract = lazyDataPointStorage(
+    provider,
+    siteAddress,
+    dataPointStorage
+  );
+  const verifyChunk = verifyContent
+    ? createChunkVerifier(getDpsContract, dataPoints, firstChunkIndex)
+    : null;
+  const chunkCache = dataPointStorage ? null : cache;
+  const pending = [];
+  let nextToStart = 0;
+  let nextToEmit = 0;
+  let bytesEmitted = 0;
+  let cancelled = false;
+
+  const startReads = () => {
+    while (
+      !cancelled &&
+      nextToStart < dataPoints.length &&
+      pending.length < Math.max(1, concurrency)
+    ) {
+      const index = nextToStart++;
+      const read = readDataPointChunk(
+        getDpsContract,
+        dataPoints,
+        index,
+        chunkCache,
+        verifyChunk
+      );
+      // Errors surface when the chunk is pulled; avoid unhandled rejections meanwhile
+      read.catch(() => {});
+      pending.push(read);
+    }
+  };
+
+  return new ReadableStream({
+    start() {
+      logger.log(
+        `📥 Streaming content from ${dataPoints.length} datapoints (concurrency ${concurrency})...`
+      );
+      startReads();
+    },
+    async pull(controller) {
+      let chunk;
+      try {
+        chunk = await pending.shift();
+      } catch (error) {
+        throw withErrorContext(error, errorContext);
+      }
+      nextToEmit += 1;
+      bytesEmitted += chunk.length;
+      if (nextToEmit === dataPoints.length && expectedSize !== undefined) {
+        // Fail before the last chunk so a wrong size never reads as complete
+        if (BigInt(bytesEmitted) !== BigInt(expectedSize)) {
+          throw new WttpIntegrityError(
+            `Streamed ${bytesEmitted} bytes, metadata says ${expectedSize}`,
+            errorContext
+          );
+        }
+      }
+      controller.enqueue(chunk);
+      if (nextToEmit === dataPoints.length) {
+        logger.log(`✅ Streamed ${dataPoints.length} chunks`);
+        controller.close();
+        return;
+      }
+      startReads();
+    },
+    cancel() {
+      cancelled = true;
+      logger.log(
+        `🛑 Stream cancelled after ${nextToEmit}/${dataPoints.length} chunks`
+      );
+    },
+  });
+}
+
 /**
- * Helper function to map chain ID to network name
+ * Parses a byte range given as `{ start, end }` (end inclusive, omitted for "to
+ * the end") or as an HTTP Range header value: "bytes=0-1023", "bytes=1000-" or
+ * "bytes=-500" (the last 500 bytes)
  */
-function getNetworkFromChain(chainId) {
-  switch (chainId) {
-    case "1":
-      return "ethereum";
-    case "137":
-      return "polygon";
-    case "11155111":
-      return "sepolia";
-    case "31337":
-      return "localhost";
-    default:
-      return "polygon"; // default fallback
+function parseByteRange(byteRange) {
+  if (typeof byteRange === "string") {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(byteRange.trim());
+    if (!match || (match[1] === "" && match[2] === "")) {
+      throw new Error(`Invalid byte range: ${byteRange}`);
+    }
+    if (match[1] === "") {
+      return { suffix: Number(match[2]) };
+    }
+    byteRange = {
+      start: match[1],
+      end: match[2] === "" ? undefined : match[2],
+    };
   }
+
+  const start = Number(byteRange?.start ?? 0);
+  const end =
+    byteRange?.end === undefined || byteRange?.end === null
+      ? undefined
+      : Number(byteRange.end);
+  if (
+    !Number.isSafeInteger(start) ||
+    start < 0 ||
+    (end !== undefined && (!Number.isSafeInteger(end) || end < start))
+  ) {
+    throw new Error(`Invalid byte range: ${JSON.stringify(byteRange)}`);
+  }
+  return { start, end };
 }
 
-export async function fetchWTTPResource(config) {
-  const {
-    siteAddress: inputSiteAddress,
-    path: inputPath,
-    network,
-    provider: customProvider,
-    options = {},
-    ensOptions = {},
-  } = config;
+/**
+ * Resolves a parsed byte range against the resource size, clamping the end.
+ * Returns null when the range can't be satisfied.
+ */
+function resolveByteRange(range, totalSize) {
+  if (range.suffix !== undefined) {
+    if (range.suffix === 0 || totalSize === 0) return null;
+    return { start: Math.max(0, totalSize - range.suffix), end: totalSize - 1 };
+  }
+  if (range.start >= totalSize) return null;
+  return {
+    start: range.start,
+    end: Math.min(range.end ?? totalSize - 1, totalSize - 1),
+  };
+}
 
-  console.log("Fetching resource from WTTP site:", config);
+/**
+ * Finds the datapoints covering a byte range from their sizes
+ * (IDataPointStorage.dataPointSize). Sizes are looked up `concurrency` at a time
+ * and the scan stops at the chunk holding the end of the range.
+ * Returns the first and last chunk indices and the byte offset of the first chunk.
+ */
+async function findByteRangeChunks(
+  getDpsContract,
+  dataPoints,
+  range,
+  concurrency
+) {
+  const windowSize = Math.max(1, concurrency);
+  let position = 0;
+  let first = -1;
+  let offset = 0;
 
-  // Parameter validation
-  if (!inputSiteAddress) {
-    throw new Error("Site address is required");
+  for (let index = 0; index < dataPoints.length; index += windowSize) {
+    const dpsContract = await getDpsContract();
+    const sizes = await Promise.all(
+      dataPoints
+        .slice(index, index + windowSize)
+        .map((dataPointAddress) => dpsContract.dataPointSize(dataPointAddress))
+    );
+
+    for (let j = 0; j < sizes.length; j++) {
+      const chunkEnd = position + Number(sizes[j]);
+      if (first === -1 && range.start < chunkEnd) {
+        first = index + j;
+        offset = position;
+      }
+      if (first !== -1 && range.end < chunkEnd) {
+        return { first, last: index + j, offset };
+      }
+      position = chunkEnd;
+    }
   }
 
-  // Smart network parameter detection
+  throw new WttpIntegrityError(
+    `Byte range ${range.start}-${range.end} is beyond the ${position} bytes stored in ${dataPoints.length} datapoints`
+  );
+}
+
+/**
+ * Copies a response head with a different status (206 or 416 for byte ranges)
+ */
+function withHeadStatus(head, status) {
+  return {
+    status,
+    headerInfo: head.headerInfo,
+    metadata: head.metadata,
+    etag: head.etag,
+  };
+}
+
+/**
+ * Creates a TransformStream that drops the first `skip` bytes and passes on at
+ * most `length` bytes, trimming whole chunks down to a byte range
+ */
+function createByteRangeTrimmer(skip, length) {
+  let toSkip = skip;
+  let remaining = length;
+
+  return new TransformStream({
+    transform(chunk, controller) {
+      let part = chunk;
+      if (toSkip > 0) {
+        const skipped = Math.min(toSkip, part.length);
+        part = part.subarray(skipped);
+        toSkip -= skipped;
+      }
+      if (part.length > remaining) {
+        part = part.subarray(0, remaining);
+      }
+      remaining -= part.length;
+      if (part.length > 0) {
+        controller.enqueue(part);
+      }
+    },
+  });
+}
+
+/**
+ * Smart network parameter detection: chain IDs (as numbers or numeric strings)
+ * and aliases are converted to registered network names, anything else (such as
+ * an RPC URL) is used as-is. Unknown chain IDs throw an "unsupported chain" error.
+ */
+function resolveNetworkParam(network) {
   let resolvedNetwork = network;
   if (network !== undefined) {
     if (typeof network === "string") {
       if (/^\d+$/.test(network)) {
         // It's a string of numbers (chain ID like "137", "1"), convert it to network name
-        resolvedNetwork = getNetworkFromChain(network);
-        console.log(
+        resolvedNetwork = getNetworkNameForChain(network);
+        logger.log(
           `🔗 Resolved chainId ${network} to network: ${resolvedNetwork}`
         );
       } else {
-        // It's a string of letters (network name like "polygon", "ethereum"), use directly
-        resolvedNetwork = network;
+        // It's a string of letters (network name like "polygon", "matic"), map aliases to the canonical name
+        resolvedNetwork = getNetworkConfig(network)?.name || network;
       }
     } else if (typeof network === "number") {
       // It's a number (chain ID), convert it to network name
-      resolvedNetwork = getNetworkFromChain(network.toString());
-      console.log(
+      resolvedNetwork = getNetworkNameForChain(network.toString());
+      logger.log(
         `🔗 Resolved chainId ${network} to network: ${resolvedNetwork}`
       );
     }
   }
+  return resolvedNetwork;
+}
+
+/**
+ * Resolves where a request goes: the provider and chain for its network, and
+ * the site address behind its site name. When the request names no network or
+ * provider, a chain in the name's records is used instead of the default.
+ * Returns { provider, chainId, siteAddress }.
+ */
+async function resolveWttpSite(config) {
+  const {
+    siteAddress: inputSiteAddress,
+    path: inputPath,
+    network,
+    provider: customProvider,
+    ensOptions = {},
+    options = {},
+  } = config;
+
+  // Parameter validation
+  if (!inputSiteAddress) {
+    throw new Error("Site address is required");
+  }
 
   // Get provider first so we can resolve ENS domains
-  const provider = await getProvider(resolvedNetwork, customProvider);
+  let resolvedNetwork = resolveNetworkParam(network);
+  let provider = await getProvider(resolvedNetwork, customProvider);
 
-  // Resolve ENS domain if needed
+  let chainId;
+  try {
+    chainId = Number((await provider.getNetwork()).chainId);
+    logger.log(`🔌 Connected to chainId ${chainId} via provider`);
+  } catch (error) {
+    throw new WttpRpcError(
+      `Failed to connect to network ${resolvedNetwork}: ${
+        error?.shortMessage || error?.message || error
+      }`,
+      { site: inputSiteAddress, path: inputPath, cause: error }
+    );
+  }
+
+  // Resolve site names (ENS, hosts, registered resolvers) if needed
   let siteAddress;
-  if (isEnsAddress(inputSiteAddress)) {
+  if (findNameResolver(inputSiteAddress)) {
+    const ensErrorContext = {
+      site: inputSiteAddress,
+      chain: chainId,
+      path: inputPath,
+      ensName: inputSiteAddress,
+    };
+    let site;
     try {
-      siteAddress = await resolveEnsAddress(
+      // Verified fetches verify the name's records too
+      site = await resolveSiteName(inputSiteAddress, {
         provider,
-        inputSiteAddress,
-        ensOptions
-      );
-      console.log(
-        `🏷️ Resolved ENS domain ${inputSiteAddress} to ${siteAddress}`
-      );
+        chainId,
+        ensOptions: options.verify
+          ? { ...ensOptions, verify: options.verify }
+          : ensOptions,
+      });
     } catch (error) {
-      throw new Error(
-        `Failed to resolve ENS domain ${inputSiteAddress}: ${error.message}`
+      rethrowIntegrityError(error, ensErrorContext);
+      throw new WttpEnsError(
+        `Failed to resolve site name ${inputSiteAddress}: ${error.message}`,
+        { ...ensErrorContext, cause: error }
       );
     }
-  } else {
+    if (!site) {
+      throw new WttpEnsError(
+        `${inputSiteAddress} is not known to the ${
+          findNameResolver(inputSiteAddress).name
+        } name resolver`,
+        ensErrorContext
+      );
+    }
+    logger.log(
+      `🏷️ Resolved ${inputSiteAddress} to ${site.address} (${site.resolver})`
+    );
+    siteAddress = site.address;
+
+    // The name's records say which chain the site lives on; a chain the
+    // request names (or its provider) wins
+    if (site.chainId && site.chainId !== chainId) {
+      if (network != null || customProvider) {
+        logger.warn(
+          `⚠️ ${inputSiteAddress} points to a site on chain ${site.chainId}; staying on requested chain ${chainId}`
+        );
+      } else {
+        try {
+          resolvedNetwork = getNetworkNameForChain(site.chainId);
+          provider = await getProvider(resolvedNetwork);
+        } catch (error) {
+          throw new WttpEnsError(
+            `${inputSiteAddress} points to a site on chain ${site.chainId}: ${error.message}`,
+            { ...ensErrorContext, cause: error }
+          );
+        }
+        logger.log(
+          `⛓️ ${inputSiteAddress} lives on chain ${site.chainId}, switching from chain ${chainId}`
+        );
+        chainId = site.chainId;
+      }
+    }
+  } else if (ethers.isAddress(inputSiteAddress)) {
     siteAddress = inputSiteAddress;
+  } else {
+    throw new WttpEnsError(
+      `${inputSiteAddress} is not an address and no name resolver claims it`,
+      {
+        site: inputSiteAddress,
+        chain: chainId,
+        path: inputPath,
+        ensName: inputSiteAddress,
+      }
+    );
   }
 
+  return { provider, chainId, siteAddress };
+}
+
+/**
+ * Locates a resource on a WTTP site: resolves the network, provider and ENS name,
+ * follows redirects and index fallbacks, and returns the HEAD/GET response along
+ * with the resolved site address and contract runner needed to read its content.
+ * `site` skips resolution with the result of an earlier resolveWttpSite().
+ */
+async function locateWTTPResource(config, site) {
+  const { path: inputPath, options = {} } = config;
+
+  logger.log("Fetching resource from WTTP site:", config);
+
+  const { provider, chainId, siteAddress } =
+    site || (await resolveWttpSite(config));
+
   let path;
   try {
     path = normalizePath(inputPath || "/");
@@ -652,50 +1944,90 @@ export async function fetchWTTPResource(config) {
     // Use -1 as default end to indicate "to the end" for int256 range semantics
     range = { start: 0, end: -1 },
     headRequest = false,
-    datapoints = false, // Default to false to fetch content by default
+    // Follow redirects and index fallbacks like a GET, but stop at the head
+    resolveHead = false,
     maxRedirects = 5,
+    batch = false, // true or { windowMs, maxBatchSize, multicallAddress }
+    verify = false, // true or { rpcUrls, quorum }
+    verifyContent = false,
   } = options;
 
-  console.log(`🌐 Connecting to site: ${siteAddress}`);
-  console.log(
+  // In verified mode every call must be agreed on by a quorum of endpoints
+  const callRunner = verify
+    ? await getQuorumRunner(provider, verify === true ? {} : verify)
+    : provider;
+
+  // Route contract calls through the shared batching runner when requested,
+  // using the chain's registered Multicall3 address (null disables Multicall)
+  let runner = callRunner;
+  if (batch) {
+    runner = getBatchingRunner(callRunner, {
+      multicallAddress: getNetworkConfig(chainId)?.multicallAddress,
+      ...(batch === true ? {} : batch),
+    });
+  }
+
+  logger.log(`🌐 Connecting to site: ${siteAddress}`);
+  logger.log(
     `📄 Requesting resource: ${path}${headRequest ? " (HEAD only)" : ""}`
   );
 
-  // Connectivity diagnostics - all network calls trusted
-  try {
-    const net = await provider.getNetwork();
-    console.log(`🔌 Connected to chainId ${Number(net.chainId)} via provider`);
-  } catch (e) {
-    console.warn("Provider getNetwork() failed:", e?.message || e);
-  }
+  // Context attached to errors thrown for this request
+  const errorContext = (p) => ({ site: siteAddress, chain: chainId, path: p });
+
+  // Work out what the site is; known sites skip straight to HEAD/GET
+  let legacyVersion = null;
   try {
-    const tmp = new Contract(siteAddress, WEB3_SITE_ABI, provider);
-    const dps = await tmp.DPS();
-    console.log(`🧩 DPS at: ${dps}`);
-  } catch (e) {
-    console.warn(
-      "DPS() call failed (ABI mismatch or wrong contract):",
-      e?.message || e
-    );
+    // callRunner is the quorum runner in verified mode, so getCode() is
+    // checked by every endpoint too
+    const probe = await probeSiteContract(runner, siteAddress, chainId, {
+      provider: callRunner,
+      verified: !!verify,
+    });
+    if (probe.hasCode === false) {
+      throw new WttpContractMismatchError(
+        `No contract code at ${siteAddress} on chain ${chainId} (wrong network or address?)`,
+        errorContext(path)
+      );
+    }
+    if (probe.kind === "unknown") {
+      throw new WttpContractMismatchError(
+        `${siteAddress} is not a WTTP site: no ERC-165 site interface, DPS() or webContractVersion() (ABI mismatch or wrong contract)`,
+        errorContext(path)
+      );
+    }
+    legacyVersion = probe.webContractVersion;
+  } catch (error) {
+    if (error instanceof WttpContractMismatchError) throw error;
+    rethrowIntegrityError(error, errorContext(path));
+    // Transient failures surface on the HEAD/GET that follows
+    logger.warn("Site probe failed:", error?.message || error);
   }
-  try {
-    const code = await provider.getCode(siteAddress);
-    console.log(
-      code && code !== "0x"
-        ? "✅ Contract code found at site address"
-        : "⚠️ No contract code at site address (wrong network or address?)"
-    );
-  } catch (e) {
-    console.warn("getCode() failed:", e?.message || e);
+  if (legacyVersion) {
+    const { major, minor, patch } = legacyVersion;
+    logger.log(`🏛️ Legacy webContract v${major}.${minor}.${patch} site`);
+    if (verifyContent) {
+      throw new WttpIntegrityError(
+        `${siteAddress} is a webContractV1 site, which has no datapoint addresses or etags to verify content against`,
+        errorContext(path)
+      );
+    }
   }
 
   // Get the site contract
   let siteContract;
+  let dataPointStorage;
   try {
-    siteContract = new Contract(siteAddress, WEB3_SITE_ABI, provider);
+    if (legacyVersion) {
+      siteContract = createWebContractV1Site(siteAddress, runner);
+      dataPointStorage = siteContract.dataPointStorage;
+    } else {
+      siteContract = new Contract(siteAddress, WEB3_SITE_ABI, runner);
+    }
   } catch (error) {
-    throw new Error(
-      `Failed to connect to site contract at ${siteAddress}: ${error}`
+    throw new WttpContractMismatchError(
+      `Failed to connect to site contract at ${siteAddress}: ${error}`,
+      { ...errorContext(path), cause: error }
     );
   }
 
@@ -715,6 +2047,7 @@ export async function fetchWTTPResource(config) {
         rangeChunks: { start, end },
       });
     } catch (e1) {
+      rethrowIntegrityError(e1, errorContext(p));
       try {
         // Fallback: pass tuples as arrays in case some providers/abi decoders require it
         return await siteContract.GET([
@@ -733,7 +2066,7 @@ export async function fetchWTTPResource(config) {
       return await siteContract.HEAD(makeHeadRequestObj(p));
     } catch (e1) {
       // Artifact ABI should be authoritative; surface the failure
-      console.warn(
+      logger.warn(
         "HEAD failed with artifact ABI:",
         e1?.reason || e1?.message || e1
       );
@@ -741,75 +2074,67 @@ export async function fetchWTTPResource(config) {
     }
   };
 
-  // Default empty response
-  const defaultHead = {
-    status: 404n,
-    headerInfo: {
-      cache: { immutableFlag: false, preset: 0n, custom: "" },
-      cors: { methods: 1n, origins: [], preset: 0n, custom: "" },
-      redirect: { code: 0n, location: "" },
-    },
-    metadata: {
-      properties: {
-        mimeType: "0x0000",
-        charset: "0x0000",
-        encoding: "0x0000",
-        language: "0x0000",
-      },
-      size: 0n,
-      version: 0n,
-      lastModified: 0n,
-      header: ethers.ZeroHash,
-    },
-    etag: ethers.ZeroHash,
+  // Not found is an error; other statuses (304, 403, ...) are returned as-is
+  const throwIfNotFound = (head, p, cause) => {
+    if (!head || head.status === 404n || head.status === 410n) {
+      throw new WttpNotFoundError(`Resource ${p} not found on ${siteAddress}`, {
+        ...errorContext(p),
+        status: head ? Number(head.status) : 404,
+        cause,
+      });
+    }
   };
 
   // If it's a HEAD request, just call HEAD
   if (headRequest) {
-    console.log(`Sending HEAD request for ${path} from site ${siteAddress}`);
+    logger.log(`Sending HEAD request for ${path} from site ${siteAddress}`);
+    let head;
     try {
-      const head = await siteContract.HEAD(makeHeadRequestObj(currentPath));
-      return {
-        response: { head, resource: { dataPoints: [], totalChunks: 0 } },
-        content: undefined,
-      };
+      head = await siteContract.HEAD(makeHeadRequestObj(currentPath));
     } catch (error) {
-      console.log("HEAD request failed, assuming file doesn't exist");
-      return {
-        response: {
-          head: defaultHead,
-          resource: { dataPoints: [], totalChunks: 0 },
-        },
-        content: undefined,
-      };
+      throw toWttpError(error, errorContext(currentPath));
     }
+    throwIfNotFound(head, currentPath);
+    return {
+      response: { head, resource: { dataPoints: [], totalChunks: 0 } },
+      siteAddress,
+      chainId,
+      runner,
+      path: currentPath,
+      dataPointStorage,
+    };
   } else {
     // For GET requests, call HEAD first to avoid GET reverts for missing resources
-    console.log(`Fetching resource at ${path} from site ${siteAddress}`);
+    logger.log(`Fetching resource at ${path} from site ${siteAddress}`);
 
-    let head = defaultHead;
+    // head stays null when the site reverts for a missing resource
+    let head = null;
+    let notFoundError;
     let redirectsLeft = maxRedirects;
     while (true) {
       try {
-        console.log(`Calling HEAD for ${currentPath}`);
+        logger.log(`Calling HEAD for ${currentPath}`);
         head = await callHead(currentPath);
       } catch (error) {
-        // If HEAD itself fails, treat as not found
-        head = defaultHead;
+        notFoundError = toWttpError(error, errorContext(currentPath));
+        if (!(notFoundError instanceof WttpNotFoundError)) {
+          throw notFoundError;
+        }
+        head = null;
       }
 
       // Handle redirects
       if (
-        (head.status === 301n ||
-          head.status === 302n ||
-          head.status === 307n ||
-          head.status === 308n) &&
+        (head?.status === 301n ||
+          head?.status === 302n ||
+          head?.status === 307n ||
+          head?.status === 308n) &&
         head.headerInfo?.redirect?.location &&
         redirectsLeft > 0
       ) {
         const nextLocation = head.headerInfo.redirect.location;
         const resolved = resolveRedirectPath(currentPath, nextLocation);
-        console.log(
+        logger.log(
           `🔁 Redirect (${
             head.status
           }) to: ${nextLocation} -> resolved: ${resolved} (remaining: ${
@@ -824,11 +2149,11 @@ export async function fetchWTTPResource(config) {
     }
 
     // If not found, attempt common default index fallbacks when path is a directory-like path
-    if (!(head.status === 200n || head.status === 206n)) {
-      console.log(`Response status for directory: ${head.status}`);
+    if (!(head?.status === 200n || head?.status === 206n)) {
+      logger.log(`Response status for directory: ${head?.status ?? "revert"}`);
       const looksLikeDirectory =
         currentPath.endsWith("/") || !currentPath.includes(".");
-      if (head.status === 404n && looksLikeDirectory) {
+      if ((!head || head.status === 404n) && looksLikeDirectory) {
         const fallbackPaths = [
           "index.html",
           "index.htm",
@@ -843,23 +2168,45 @@ export async function fetchWTTPResource(config) {
           );
           try {
             const candidateHead = await callHead(candidatePath);
+            // 304: the candidate exists and matches the caller's validators
             if (
               candidateHead.status === 200n ||
-              candidateHead.status === 206n
+              candidateHead.status === 206n ||
+              candidateHead.status === 304n
             ) {
-              console.log(`Fallback succeeded at ${candidatePath}`);
+              logger.log(`Fallback succeeded at ${candidatePath}`);
               head = candidateHead;
               currentPath = candidatePath;
               break;
             }
-          } catch (_) {
-            // ignore and try next
+          } catch (error) {
+            const candidateError = toWttpError(
+              error,
+              errorContext(candidatePath)
+            );
+            if (!(candidateError instanceof WttpNotFoundError)) {
+              throw candidateError;
+            }
+            // not found, try next
           }
         }
       }
+      if (resolveHead) {
+        throwIfNotFound(head, currentPath, notFoundError);
+        return {
+          response: { head, resource: { dataPoints: [], totalChunks: 0 } },
+          siteAddress,
+          chainId,
+          runner,
+          path: currentPath,
+          dataPointStorage,
+        };
+      }
       // If still not ok, try GET directly in case HEAD is blocked but GET is allowed
-      if (!(head.status === 200n || head.status === 206n)) {
-        console.log(`Response status reading datapoints: ${head.status}`);
+      if (!(head?.status === 200n || head?.status === 206n)) {
+        logger.log(
+          `Response status reading datapoints: ${head?.status ?? "revert"}`
+        );
         try {
           const probe = await callGet(
             currentPath,
@@ -870,48 +2217,60 @@ export async function fetchWTTPResource(config) {
             // Use the successful GET response
             return {
               response: probe,
-              content: await (async () => {
-                if (probe.resource.dataPoints.length > 0 && !datapoints) {
-                  const dataPointAddresses = probe.resource.dataPoints.map(
-                    (dp) => dp.toString()
-                  );
-                  return readDataPointsContent(
-                    provider,
-                    siteAddress,
-                    dataPointAddresses
-                  );
-                }
-                return undefined;
-              })(),
+              siteAddress,
+              chainId,
+              runner,
+              path: currentPath,
+              dataPointStorage,
             };
           }
-        } catch (_) {
-          // ignore
+        } catch (error) {
+          const probeError = toWttpError(error, errorContext(currentPath));
+          if (!(probeError instanceof WttpNotFoundError)) {
+            throw probeError;
+          }
         }
       }
-      // If still not ok, return HEAD-only
+      // If still not ok, it's either not found or another status to return HEAD-only
+      throwIfNotFound(head, currentPath, notFoundError);
       if (!(head.status === 200n || head.status === 206n)) {
         return {
           response: { head, resource: { dataPoints: [], totalChunks: 0 } },
-          content: undefined,
+          siteAddress,
+          chainId,
+          runner,
+          path: currentPath,
+          dataPointStorage,
         };
       }
     }
 
+    if (resolveHead) {
+      return {
+        response: { head, resource: { dataPoints: [], totalChunks: 0 } },
+        siteAddress,
+        chainId,
+        runner,
+        path: currentPath,
+        dataPointStorage,
+      };
+    }
+
     // Otherwise, call GET to retrieve datapoints
     let locateResponse = {
       head,
       resource: { dataPoints: [], totalChunks: 0 },
     };
     try {
-      console.log(`Locating response calling GET: ${head.status}`);
+      logger.log(`Locating response calling GET: ${head.status}`);
       locateResponse = await callGet(
         currentPath,
         BigInt(range.start),
         BigInt(range.end)
       );
     } catch (error) {
-      console.error(
+      rethrowIntegrityError(error, errorContext(currentPath));
+      logger.error(
         `GET failed for ${currentPath}:`,
         error?.reason || error?.shortMessage || error?.message || error
       );
@@ -919,19 +2278,12 @@ export async function fetchWTTPResource(config) {
       try {
         locateResponse = await callGet(currentPath, 0n, -1n);
       } catch (error2) {
-        console.debug(
-          "GET failed after successful HEAD; returning HEAD only",
-          error2?.reason || error2?.shortMessage || error2?.message || error2
-        );
-        return {
-          response: { head, resource: { dataPoints: [], totalChunks: 0 } },
-          content: undefined,
-        };
+        throw toWttpError(error2, errorContext(currentPath));
       }
     }
 
-    console.log(`Response status: ${locateResponse.head.status}`);
-    console.log(
+    logger.log(`Response status: ${locateResponse.head.status}`);
+    logger.log(
       `Found ${locateResponse.resource.dataPoints.length} data points (totalChunks=${locateResponse.resource.totalChunks})`
     );
 
@@ -941,13 +2293,13 @@ export async function fetchWTTPResource(config) {
       locateResponse.resource.dataPoints.length <
         locateResponse.resource.totalChunks
     ) {
-      console.warn(
+      logger.warn(
         `⚠️ Missing chunks! Expected ${locateResponse.resource.totalChunks}, got ${locateResponse.resource.dataPoints.length}`
       );
-      console.log(`Range used: start=${range.start}, end=${range.end}`);
+      logger.log(`Range used: start=${range.start}, end=${range.end}`);
 
       // Try to fetch all chunks explicitly
-      console.log("🔄 Attempting to fetch all chunks...");
+      logger.log("🔄 Attempting to fetch all chunks...");
       try {
         const totalChunks = Number(locateResponse.resource.totalChunks);
         const fullResponse = await callGet(
@@ -959,15 +2311,16 @@ export async function fetchWTTPResource(config) {
           fullResponse.resource.dataPoints.length >
           locateResponse.resource.dataPoints.length
         ) {
-          console.log(
+          logger.log(
             `✅ Fetched all chunks: ${fullResponse.resource.dataPoints.length}/${totalChunks}`
           );
           locateResponse = fullResponse;
         } else {
-          console.warn("❌ Still missing chunks after explicit fetch");
+          logger.warn("❌ Still missing chunks after explicit fetch");
         }
       } catch (fetchAllError) {
-        console.warn("❌ Failed to fetch all chunks:", fetchAllError.message);
+        rethrowIntegrityError(fetchAllError, errorContext(currentPath));
+        logger.warn("❌ Failed to fetch all chunks:", fetchAllError.message);
       }
     }
 
@@ -984,64 +2337,552 @@ export async function fetchWTTPResource(config) {
           head: firstChunk.head,
           resource: firstChunk.resource,
         };
-        console.log(
+        logger.log(
           `Paged first chunk: ${firstChunk.resource.dataPoints.length} returned`
         );
       } catch (e) {
-        console.warn("Paging first chunk failed:", e?.message || e);
+        rethrowIntegrityError(e, errorContext(currentPath));
+        logger.warn("Paging first chunk failed:", e?.message || e);
       }
     }
 
-    // If the response is successful and user wants data (datapoints=false), load the content
-    let content = undefined;
-    if (!datapoints) {
-      if (
-        (locateResponse.head.status === 200n ||
-          locateResponse.head.status === 206n) &&
-        locateResponse.resource.dataPoints.length > 0
-      ) {
-        const dataPointAddresses = locateResponse.resource.dataPoints.map(
-          (dp) => dp.toString()
+    return {
+      response: locateResponse,
+      siteAddress,
+      chainId,
+      runner,
+      path: currentPath,
+      dataPointStorage,
+    };
+  }
+}
+
+/**
+ * Returns the datapoint addresses of a located response when its content should be read
+ */
+function getReadableDataPoints(response, datapoints) {
+  if (
+    datapoints ||
+    !(response.head.status === 200n || response.head.status === 206n) ||
+    response.resource.dataPoints.length === 0
+  ) {
+    return [];
+  }
+  return response.resource.dataPoints.map((dp) => dp.toString());
+}
+
+/**
+ * Locates a resource and maps a byte range onto the datapoints that cover it.
+ * Satisfiable ranges come back as a 206 response holding only the covering
+ * datapoints, with `skip` (bytes to drop from the first chunk) and
+ * `contentRange` ({ start, end, total }). Ranges past the end of the resource
+ * come back as 416 with `contentRange: { total }`; other statuses pass through.
+ */
+async function locateWTTPByteRange(config, byteRange, concurrency) {
+  const parsedRange = parseByteRange(byteRange);
+  const located = await locateWTTPResource(config);
+  const { response, siteAddress, chainId, runner, path, dataPointStorage } =
+    located;
+
+  const dataPoints = getReadableDataPoints(response, false);
+  if (dataPoints.length === 0) {
+    return { ...located, dataPoints };
+  }
+
+  const total = Number(response.head.metadata.size);
+  const range = resolveByteRange(parsedRange, total);
+  if (!range) {
+    logger.warn(`⚠️ Byte range not satisfiable for ${total} byte resource`);
+    return {
+      ...located,
+      response: {
+        head: withHeadStatus(response.head, 416n),
+        resource: {
+          dataPoints: [],
+          totalChunks: response.resource.totalChunks,
+        },
+      },
+      dataPoints: [],
+      contentRange: { total },
+    };
+  }
+
+  let chunks;
+  try {
+    chunks = await findByteRangeChunks(
+      lazyDataPointStorage(runner, siteAddress, dataPointStorage),
+      dataPoints,
+      range,
+      concurrency
+    );
+  } catch (error) {
+    const context = { site: siteAddress, chain: chainId, path };
+    throw error instanceof WttpError
+      ? withErrorContext(error, context)
+      : new WttpRpcError(
+          `Failed to read datapoint sizes: ${
+            error?.shortMessage || error?.message || error
+          }`,
+          { ...context, cause: error }
         );
-        content = await readDataPointsContent(
-          provider,
+  }
+  const { first, last, offset } = chunks;
+  logger.log(
+    `🎯 Bytes ${range.start}-${range.end}/${total} are in chunks ${first + 1}-${
+      last + 1
+    } of ${dataPoints.length}`
+  );
+
+  return {
+    ...located,
+    response: {
+      head: withHeadStatus(response.head, 206n),
+      resource: {
+        dataPoints: response.resource.dataPoints.slice(first, last + 1),
+        totalChunks: response.resource.totalChunks,
+      },
+    },
+    dataPoints: dataPoints.slice(first, last + 1),
+    firstChunkIndex: first,
+    skip: range.start - offset,
+    contentRange: { start: range.start, end: range.end, total },
+  };
+}
+
+/**
+ * Builds the resource cache key from the resolved chain, site address and path,
+ * so a site name that is repointed doesn't serve the old site's content
+ */
+function getResourceCacheKey(site, path) {
+  return `${site.chainId}:${site.siteAddress.toLowerCase()}:${normalizePath(
+    path || "/"
+  )}`;
+}
+
+/**
+ * How the resource cache treats a response, from its cache header:
+ * "immutable" (immutableFlag, the PERMANENT preset or a custom "immutable")
+ * is served without revalidation, "no-store" (the NO_CACHE preset or a custom
+ * "no-cache"/"no-store") is never stored, anything else is revalidated on use
+ */
+function getResourceCachePolicy(head) {
+  const { immutableFlag, preset, custom } = head.headerInfo.cache;
+  if (
+    immutableFlag ||
+    Number(preset) === CACHE_PRESET_PERMANENT ||
+    /\bimmutable\b/i.test(custom)
+  ) {
+    return "immutable";
+  }
+  if (
+    Number(preset) === CACHE_PRESET_NO_CACHE ||
+    /\bno-(cache|store)\b/i.test(custom)
+  ) {
+    return "no-store";
+  }
+  return "revalidate";
+}
+
+/**
+ * Returns the cached resource if it is immutable or a conditional HEAD
+ * confirms it is unchanged, otherwise null. The HEAD is sent for the
+ * requested path and follows its redirects and index fallbacks, so a changed
+ * or removed redirect also invalidates the entry.
+ */
+async function revalidateCachedResource(config, site, entry) {
+  if (getResourceCachePolicy(entry.response.head) === "immutable") {
+    logger.log(`⚡ Using immutable cached resource: ${entry.path}`);
+    return {
+      response: entry.response,
+      content: entry.content,
+      path: entry.path,
+    };
+  }
+
+  logger.log(`🔄 Revalidating cached resource: ${entry.path}`);
+  const { response, path } = await locateWTTPResource(
+    {
+      ...config,
+      options: {
+        ...config.options,
+        resolveHead: true,
+        ifNoneMatch: entry.etag,
+        ifModifiedSince: entry.lastModified,
+      },
+    },
+    site
+  );
+
+  const { status, etag } = response.head;
+  if (
+    path === entry.path &&
+    (status === 304n || (status === 200n && etag === entry.etag))
+  ) {
+    logger.log(`✅ Cached resource still valid (${status}): ${entry.path}`);
+    entry.storedAt = Date.now();
+    return {
+      response: entry.response,
+      content: entry.content,
+      path: entry.path,
+    };
+  }
+
+  logger.log(
+    `♻️ Cached resource changed (${status}${
+      path === entry.path ? "" : `, now at ${path}`
+    }): ${entry.path}`
+  );
+  return null;
+}
+
+/**
+ * Main function to fetch a resource from a WTTP site. Resolves to { response,
+ * content, path }, where `path` is the path that was served after redirects
+ * and index fallbacks (plus `contentRange` for byte ranges).
+ */
+export async function fetchWTTPResource(config) {
+  const { options = {} } = config;
+  const {
+    datapoints = false, // Default to false to fetch content by default
+    concurrency = DEFAULT_DATAPOINT_CONCURRENCY, // Parallel datapoint reads
+    useResourceCache = true, // Revalidate whole resources by ETag
+    headRequest = false,
+    range,
+    byteRange, // { start, end } or "bytes=start-end", end inclusive
+    verifyContent = false, // Check chunks against datapoint addresses and etag
+    decompress = true, // Undo the resource's Content-Encoding
+  } = options;
+
+  if (range !== undefined && byteRange !== undefined) {
+    throw new Error("Use either range (chunk indices) or byteRange, not both");
+  }
+
+  if (byteRange !== undefined && !headRequest) {
+    const {
+      response,
+      siteAddress,
+      chainId,
+      runner,
+      path: resolvedPath,
+      dataPoints,
+      firstChunkIndex,
+      skip,
+      contentRange,
+      dataPointStorage,
+    } = await locateWTTPByteRange(config, byteRange, concurrency);
+
+    let content = undefined;
+    if (!datapoints && dataPoints.length > 0) {
+      try {
+        const covering = await readDataPointsContent(
+          runner,
           siteAddress,
-          dataPointAddresses
+          dataPoints,
+          {
+            concurrency,
+            cache: resolveDataPointCache(options),
+            verifyContent,
+            firstChunkIndex,
+            dataPointStorage,
+          }
+        );
+        content = covering.slice(
+          skip,
+          skip + contentRange.end - contentRange.start + 1
         );
+      } catch (error) {
+        throw withErrorContext(error, {
+          site: siteAddress,
+          chain: chainId,
+          path: resolvedPath,
+        });
       }
     }
+    return { response, content, contentRange, path: resolvedPath };
+  }
 
-    return {
-      response: locateResponse,
+  // Only plain full-content GETs go through the resource cache, which holds
+  // decompressed content from unverified reads
+  const cacheable =
+    useResourceCache &&
+    !headRequest &&
+    !datapoints &&
+    !verifyContent &&
+    !options.verify &&
+    decompress &&
+    (!range || (Number(range.start) === 0 && Number(range.end) === -1));
+  // Resolved once and shared by the cache lookup and the fetch
+  const site = cacheable ? await resolveWttpSite(config) : undefined;
+  const cacheKey = site ? getResourceCacheKey(site, config.path) : null;
+
+  if (cacheKey) {
+    const entry = getCachedResource(cacheKey);
+    if (entry) {
+      let cached;
+      try {
+        cached = await revalidateCachedResource(config, site, entry);
+      } catch (error) {
+        if (error instanceof WttpNotFoundError) {
+          deleteCachedResource(cacheKey);
+        }
+        throw error;
+      }
+      if (cached) {
+        return cached;
+      }
+      deleteCachedResource(cacheKey);
+    }
+  }
+
+  const {
+    response,
+    siteAddress,
+    chainId,
+    runner,
+    path: resolvedPath,
+    dataPointStorage,
+  } = await locateWTTPResource(config, site);
+
+  // If the response is successful and user wants data (datapoints=false), load the content
+  let content = undefined;
+  const dataPointAddresses = getReadableDataPoints(response, datapoints);
+  const errorContext = {
+    site: siteAddress,
+    chain: chainId,
+    path: resolvedPath,
+  };
+  const verifyWhole =
+    verifyContent && isCompleteResource(response, dataPointAddresses);
+  if (verifyWhole) {
+    verifyResourceEtag(response.head, dataPointAddresses, errorContext);
+  }
+  if (dataPointAddresses.length > 0) {
+    try {
+      content = await readDataPointsContent(
+        runner,
+        siteAddress,
+        dataPointAddresses,
+        {
+          concurrency,
+          cache: resolveDataPointCache(options),
+          verifyContent,
+          firstChunkIndex: getFirstChunkIndex(
+            range,
+            response,
+            dataPointAddresses
+          ),
+          dataPointStorage,
+        }
+      );
+      if (verifyWhole) {
+        verifyResourceSize(response.head, content.length, errorContext);
+      }
+      // Partial content can't be decompressed, so ranges return stored bytes
+      if (decompress && isCompleteResource(response, dataPointAddresses)) {
+        content = await decompressContent(
+          content,
+          getResourceEncoding(response.head.metadata.properties)
+        );
+      }
+    } catch (error) {
+      throw withErrorContext(error, errorContext);
+    }
+  }
+
+  if (
+    cacheKey &&
+    response.head.status === 200n &&
+    content &&
+    getResourceCachePolicy(response.head) !== "no-store" &&
+    (response.head.etag !== ethers.ZeroHash ||
+      getResourceCachePolicy(response.head) === "immutable")
+  ) {
+    setCachedResource(cacheKey, {
+      path: resolvedPath,
+      etag: response.head.etag,
+      lastModified: response.head.metadata.lastModified,
+      storedAt: Date.now(),
+      response,
       content,
+    });
+  }
+
+  return {
+    response,
+    content,
+    path: resolvedPath,
+  };
+}
+
+/**
+ * Streaming variant of fetchWTTPResource. Resolves as soon as the resource is
+ * located, with a ReadableStream that emits each datapoint in order as it is read.
+ * `stream` is undefined when there is no content to read.
+ */
+export async function fetchWTTPResourceStream(config) {
+  const { options = {} } = config;
+  const {
+    datapoints = false,
+    concurrency = DEFAULT_DATAPOINT_CONCURRENCY,
+    headRequest = false,
+    range,
+    byteRange,
+    verifyContent = false,
+    decompress = true,
+  } = options;
+
+  if (byteRange !== undefined && !headRequest) {
+    const {
+      response,
+      siteAddress,
+      chainId,
+      runner,
+      path,
+      dataPoints,
+      firstChunkIndex,
+      skip,
+      contentRange,
+      dataPointStorage,
+    } = await locateWTTPByteRange(config, byteRange, concurrency);
+
+    if (datapoints || dataPoints.length === 0) {
+      return { response, stream: undefined, contentRange };
+    }
+    return {
+      response,
+      stream: createDataPointStream(runner, siteAddress, dataPoints, {
+        concurrency,
+        cache: resolveDataPointCache(options),
+        errorContext: { site: siteAddress, chain: chainId, path },
+        verifyContent,
+        firstChunkIndex,
+        dataPointStorage,
+      }).pipeThrough(
+        createByteRangeTrimmer(skip, contentRange.end - contentRange.start + 1)
+      ),
+      contentRange,
     };
   }
+
+  const { response, siteAddress, chainId, runner, path, dataPointStorage } =
+    await locateWTTPResource(config);
+
+  const dataPointAddresses = getReadableDataPoints(response, datapoints);
+  if (dataPointAddresses.length === 0) {
+    return { response, stream: undefined };
+  }
+
+  const errorContext = { site: siteAddress, chain: chainId, path };
+  const verifyWhole =
+    verifyContent && isCompleteResource(response, dataPointAddresses);
+  if (verifyWhole) {
+    verifyResourceEtag(response.head, dataPointAddresses, errorContext);
+  }
+
+  // Partial content can't be decompressed, so ranges stream stored bytes
+  let decompression;
+  if (decompress && isCompleteResource(response, dataPointAddresses)) {
+    try {
+      decompression = createDecompressionStream(
+        getResourceEncoding(response.head.metadata.properties)
+      );
+    } catch (error) {
+      throw withErrorContext(error, errorContext);
+    }
+  }
+
+  const stream = createDataPointStream(
+    runner,
+    siteAddress,
+    dataPointAddresses,
+    {
+      concurrency,
+      cache: resolveDataPointCache(options),
+      errorContext,
+      verifyContent,
+      firstChunkIndex: getFirstChunkIndex(range, response, dataPointAddresses),
+      expectedSize: verifyWhole ? response.head.metadata.size : undefined,
+      dataPointStorage,
+    }
+  );
+  return {
+    response,
+    stream: decompression ? stream.pipeThrough(decompression) : stream,
+  };
+}
+
+/**
+ * Charset named by a byte order mark at the start of the content
+ */
+function getBomCharset(content) {
+  const startsWith = (bytes) => bytes.every((byte, i) => content[i] === byte);
+  const bom = BYTE_ORDER_MARKS.find(([, bytes]) => startsWith(bytes));
+  return bom?.[0];
+}
+
+/**
+ * Charset declared by a <meta charset> or <meta http-equiv> tag near the
+ * start of an HTML document
+ */
+function sniffMetaCharset(content) {
+  const start = new TextDecoder("windows-1252").decode(
+    content.subarray(0, META_CHARSET_SCAN_BYTES)
+  );
+  const match = start.match(/<meta[^>]*?charset\s*=\s*["']?\s*([\w.:-]+)/i);
+  if (!match) return undefined;
+  const charset = match[1].toLowerCase();
+  // The tag was readable as ASCII, so the document can't really be UTF-16
+  return charset.startsWith("utf-16") ? "utf-8" : charset;
+}
+
+/**
+ * TextDecoder label for a charset given as a bytes2 code or a name
+ */
+function toCharsetLabel(charset) {
+  if (!charset) return undefined;
+  if (BYTES2_CODE_PATTERN.test(charset)) return decodeCharset(charset);
+  return charset.trim().toLowerCase();
 }
 
 /**
- * Utility function to check if a MIME type represents text content
+ * Picks the charset to decode text with: a byte order mark, then the
+ * resource's charset (or the MIME type's charset parameter), then for HTML a
+ * <meta charset> tag, then UTF-8
  */
-export function isTextMimeType(mimeType) {
+export function detectCharset(content, mimeType, charset) {
+  const declared =
+    toCharsetLabel(charset) ||
+    mimeType?.match(/;\s*charset\s*=\s*"?([^";\s]+)/i)?.[1].toLowerCase();
+  const type = mimeType?.split(";")[0].trim().toLowerCase();
+  const isHtml = type === "text/html" || type === "application/xhtml+xml";
+
   return (
-    mimeType === "0x7470" || // text/plain (tp)
-    mimeType === "0x7468" || // text/html (th)
-    mimeType === "0x7463" || // text/css (tc)
-    mimeType === "0x746d" || // text/markdown (tm)
-    mimeType === "0x616a" || // application/javascript (aj)
-    mimeType === "0x616f" || // application/json (ao)
-    mimeType === "0x6178" || // application/xml (ax)
-    mimeType === "0x6973"
-  ); // image/svg+xml (is)
+    getBomCharset(content) ||
+    declared ||
+    (isHtml && sniffMetaCharset(content)) ||
+    "utf-8"
+  );
 }
 
 /**
- * Utility function to decode content as text if it's a text MIME type
+ * Decodes content as text if it's a text MIME type (name or bytes2 code).
+ * `charset` is the resource's charset code or name; see detectCharset.
  */
-export function decodeContent(content, mimeType) {
-  if (isTextMimeType(mimeType)) {
+export function decodeContent(content, mimeType, charset) {
+  if (!isTextMimeType(mimeType)) {
+    return content;
+  }
+
+  const typeName = BYTES2_CODE_PATTERN.test(mimeType)
+    ? decodeMimeType(mimeType)
+    : mimeType;
+  const label = detectCharset(content, typeName, charset);
+  try {
+    return new TextDecoder(label).decode(content);
+  } catch (error) {
+    logger.warn(`⚠️ Unsupported charset ${label}, decoding as UTF-8`);
     return new TextDecoder().decode(content);
   }
-  return content;
 }
 
 /**
@@ -1055,7 +2896,7 @@ async function checkEnsExists(provider, domain) {
     const network = await provider.getNetwork();
     const chainId = Number(network.chainId);
 
-    const ensConfig = ENS_CONFIGS[chainId];
+    const ensConfig = getNetworkConfig(chainId)?.ens;
     if (!ensConfig) {
       return false;
     }
@@ -1073,10 +2914,8 @@ async function checkEnsExists(provider, domain) {
     const owner = await registryContract.owner(node);
     return owner !== ethers.ZeroAddress;
   } catch (error) {
-    console.warn(
-      `Failed to check ENS existence for ${normalizedDomain}:`,
-      error.message
-    );
+    // normalizedDomain is unset when normalization itself failed
+    logger.warn(`Failed to check ENS existence for ${domain}:`, error.message);
     return false;
   }
 }
@@ -1095,22 +2934,22 @@ export async function testEnsResolution(provider, options = {}) {
   const testDomains = getKnownEnsTestDomains();
   const results = [];
 
-  console.log("🧪 Testing ENS resolution with known domains...");
+  logger.log("🧪 Testing ENS resolution with known domains...");
 
   for (const domain of testDomains) {
     try {
-      console.log(`Testing: ${domain}`);
+      logger.log(`Testing: ${domain}`);
       const address = await resolveEnsAddress(provider, domain, options);
       results.push({ domain, address, success: true });
-      console.log(`✅ ${domain} -> ${address}`);
+      logger.log(`✅ ${domain} -> ${address}`);
     } catch (error) {
       results.push({ domain, error: error.message, success: false });
-      console.log(`❌ ${domain} -> Failed: ${error.message}`);
+      logger.log(`❌ ${domain} -> Failed: ${error.message}`);
     }
   }
 
   const successCount = results.filter((r) => r.success).length;
-  console.log(
+  logger.log(
     `🏁 ENS Test Results: ${successCount}/${results.length} domains resolved successfully`
   );
 
@@ -1118,7 +2957,7 @@ export async function testEnsResolution(provider, options = {}) {
 }
 
 /**
- * Helper function to get a contract address from either an ENS domain or contract address
+ * Helper function to get a contract address from either a site name (ENS, hosts or a registered resolver) or contract address
  * This function prioritizes cached resolutions and avoids external network calls when possible
  */
 export async function getContractAddress(
@@ -1126,48 +2965,128 @@ export async function getContractAddress(
   provider = null,
   options = {}
 ) {
-  // If it's not an ENS domain, return as-is
-  if (!isEnsAddress(addressOrEns)) {
+  // If no name resolver claims it, it's an address: return as-is
+  const nameResolver = findNameResolver(addressOrEns);
+  if (!nameResolver) {
     return addressOrEns;
   }
 
-  // Check cache first (this avoids network calls)
-  const cachedAddress = getCachedEnsAddress(addressOrEns);
-  if (cachedAddress) {
-    console.log(
-      `⚡ Using cached address for ${addressOrEns}: ${cachedAddress}`
-    );
-    return cachedAddress;
-  }
-
-  // If no cache and no provider, we can't resolve
+  // Without a provider only a cached mainnet ENS resolution can answer; with
+  // one, resolution checks the cache for the provider's chain
   if (!provider) {
+    const cachedAddress = getCachedEnsAddress(addressOrEns);
+    if (cachedAddress) {
+      logger.log(
+        `⚡ Using cached address for ${addressOrEns}: ${cachedAddress}`
+      );
+      return cachedAddress;
+    }
     throw new Error(
-      `ENS domain ${addressOrEns} not in cache and no provider available for resolution`
+      `Site name ${addressOrEns} not in cache and no provider available for resolution`
     );
   }
 
   // Resolve using the provider
-  return await resolveEnsAddress(provider, addressOrEns, options);
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const site = await resolveSiteName(addressOrEns, {
+    provider,
+    chainId,
+    ensOptions: options,
+  });
+  if (!site) {
+    throw new WttpEnsError(
+      `${addressOrEns} is not known to the ${nameResolver.name} name resolver`,
+      { chain: chainId, ensName: addressOrEns }
+    );
+  }
+  return site.address;
+}
+
+/**
+ * Reports what the contract at a site address is: whether it is a WTTP site
+ * or a legacy webContractV1 site, which ERC-165 interfaces it supports and
+ * which methods it implements. Results are cached per chain and address, and
+ * fetches reuse them; pass `refresh: true` to probe again.
+ *
+ * @param siteAddress  Site address or ENS name
+ * @param network      Network name, chain ID or RPC URL
+ * @param options      { provider, refresh, ensOptions }
+ */
+export async function probeSite(siteAddress, network, options = {}) {
+  const { provider: customProvider, refresh = false, ensOptions } = options;
+  const provider = await getProvider(
+    resolveNetworkParam(network),
+    customProvider
+  );
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const address = await getContractAddress(siteAddress, provider, ensOptions);
+  try {
+    return await probeSiteContract(provider, address, chainId, { refresh });
+  } catch (error) {
+    throw toWttpError(error, { site: address, chain: chainId });
+  }
 }
 
 /**
  * Export ENS resolution utilities for external use
  */
 export {
+  isTextMimeType,
+  WttpError,
+  WttpNotFoundError,
+  WttpRpcError,
+  WttpContractMismatchError,
+  WttpEnsError,
+  WttpIntegrityError,
+  WttpEncodingError,
+  WttpPublishError,
+  WttpRevertError,
+  normalizePath,
+  WttpURL,
+  setLogLevel,
+  getLogLevel,
+  computeResourceEtag,
+  calculateDataPointAddress,
   namehash,
   resolveEnsAddress,
+  resolveEnsSite,
   isEnsAddress,
   checkEnsExists,
   normalizeEnsDomain,
+  setCcipReadGateway,
+  registerNameResolver,
+  unregisterNameResolver,
+  listNameResolvers,
+  createHostsResolver,
+  loadHostsFile,
   getCachedEnsAddress,
+  getCachedEnsSite,
+  getEnsCacheEntry,
+  listEnsCacheEntries,
   setCachedEnsAddress,
+  invalidateEnsName,
+  setEnsCache,
   clearEnsCache,
   setCachedProvider,
   clearProviderCache,
+  registerNetwork,
+  unregisterNetwork,
+  loadNetworkConfig,
+  getNetworkConfig,
+  listNetworks,
+  getRpcEndpointHealth,
+  clearRpcEndpointHealth,
+  getBatchingRunner,
+  setDataPointCache,
+  clearDataPointCache,
+  getCachedResource,
+  clearResourceCache,
   getCachedNetworkInfo,
   setCachedNetworkInfo,
   clearNetworkCache,
+  getCachedSiteProbe,
+  clearSiteProbeCache,
+  WTTP_INTERFACE_IDS,
 };
 
 // Example usage:
@@ -1203,8 +3122,8 @@ async function example() {
     });
     
     if (result1.content) {
-      const mimeType = result1.response.head.metadata.properties.mimeType;
-      const decoded = decodeContent(result1.content, mimeType);
+      const { mimeType, charset } = result1.response.head.metadata.properties;
+      const decoded = decodeContent(result1.content, mimeType, charset);
       console.log('Content:', decoded);
     }
   } catch (error) {
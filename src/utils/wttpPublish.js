@@ -0,0 +1,778 @@
+/**
+ * WTTP Publishing Client
+ *
+ * Write counterpart to wttpFetch.js: uploads, updates, defines headers for and
+ * deletes resources on a WTTP site with an ethers Signer that holds the site's
+ * resource role. Content is split into datapoint chunks; the first batch of
+ * chunks is sent with PUT and the rest are appended with PATCH. Royalties owed
+ * for chunks already registered in the DataPointRegistry are paid automatically.
+ * Chunks the resource already holds at the same index (checked with
+ * IDataPointStorage calculateAddress and dataPointSize) are skipped, so
+ * re-publishing an unchanged file sends nothing. PUT and PATCH only take chunk
+ * data, not datapoint addresses, so a chunk DPS stores for another index or
+ * resource must still be sent in full; DPS then skips the storage write.
+ *
+ * Usage:
+ * ```javascript
+ * import { ethers } from 'ethers';
+ * import { putWTTPResource } from './wttpPublish.js';
+ *
+ * const signer = new ethers.Wallet(privateKey, new ethers.JsonRpcProvider(rpcUrl));
+ * const { etag, receipts } = await putWTTPResource({
+ *   siteAddress: '0xYourSiteAddress',
+ *   path: '/index.html',
+ *   content: '<h1>Hello WTTP</h1>',
+ *   mimeType: 'text/html',
+ *   signer,
+ * });
+ * ```
+ */
+
+import { ethers, Contract } from "ethers";
+import IBaseWTTPSiteArtifact from "../abis/IBaseWTTPSite.json";
+import IDataPointStorageArtifact from "../abis/IDataPointStorage.json";
+import IDataPointRegistryArtifact from "../abis/IDataPointRegistry.json";
+import { getContractAddress, normalizePath } from "./wttpFetch.js";
+import { WttpError, WttpPublishError, isNotFoundRevert } from "./wttpErrors.js";
+import {
+  encodeMimeType,
+  encodeCharset,
+  encodeEncoding,
+  encodeLanguage,
+} from "./wttpCodec.js";
+import { logger } from "./logger.js";
+import { mapWithConcurrency } from "./utils.js";
+
+const WEB3_SITE_ABI = IBaseWTTPSiteArtifact.abi;
+const DATA_POINT_STORAGE_ABI = IDataPointStorageArtifact.abi;
+const DATA_POINT_REGISTRY_ABI = IDataPointRegistryArtifact.abi;
+
+// Default datapoint chunk size in bytes
+const DEFAULT_CHUNK_SIZE = 32 * 1024;
+
+// Default number of chunks sent per PUT/PATCH transaction
+const DEFAULT_CHUNKS_PER_TRANSACTION = 1;
+
+// Default number of chunks looked up in DPS at once (three calls each)
+const DEFAULT_PLAN_CONCURRENCY = 6;
+
+// Rough gas model for writes the RPC can't estimate: transaction base cost,
+// calldata, new storage words for unstored datapoints and per-chunk bookkeeping
+const GAS_PER_TRANSACTION = 21000n;
+const GAS_PER_CALLDATA_BYTE = 16n;
+const GAS_PER_STORAGE_WORD = 20000n;
+const GAS_PER_CHUNK = 50000n;
+
+/**
+ * Encodes resource properties given as names or bytes2 codes
+ */
+function toProperties({ mimeType, charset, encoding, language }) {
+  return {
+    mimeType: encodeMimeType(mimeType),
+    charset: encodeCharset(charset),
+    encoding: encodeEncoding(encoding),
+    language: encodeLanguage(language),
+  };
+}
+
+/**
+ * Converts string or binary content to bytes
+ */
+function toContentBytes(content) {
+  if (typeof content === "string") return new TextEncoder().encode(content);
+  if (content instanceof Uint8Array) return content;
+  if (content instanceof ArrayBuffer) return new Uint8Array(content);
+  throw new Error("Content must be a string, Uint8Array or ArrayBuffer");
+}
+
+/**
+ * Splits content into datapoint chunks of at most `chunkSize` bytes
+ */
+function splitIntoChunks(bytes, chunkSize = DEFAULT_CHUNK_SIZE) {
+  if (!Number.isSafeInteger(chunkSize) || chunkSize <= 0) {
+    throw new Error(`Invalid chunk size: ${chunkSize}`);
+  }
+  const chunks = [];
+  for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+    chunks.push(bytes.subarray(offset, offset + chunkSize));
+  }
+  return chunks;
+}
+
+/**
+ * Resolves the site (address or ENS name) and connects its contract to the
+ * signer (or a provider, for read-only use)
+ */
+async function connectSite(siteAddress, signer) {
+  if (!siteAddress) {
+    throw new Error("Site address is required");
+  }
+  if (!signer?.provider) {
+    throw new Error("A signer connected to a provider is required");
+  }
+
+  const address = await getContractAddress(siteAddress, signer.provider);
+  const { chainId } = await signer.provider.getNetwork();
+  return {
+    address,
+    chainId: Number(chainId),
+    site: new Contract(address, WEB3_SITE_ABI, signer),
+  };
+}
+
+/**
+ * Loads the site's DataPointStorage and DataPointRegistry contracts (read-only)
+ */
+async function getStorageContracts(site, provider) {
+  const [dpsAddress, dprAddress] = await Promise.all([site.DPS(), site.DPR()]);
+  return {
+    dps: new Contract(dpsAddress, DATA_POINT_STORAGE_ABI, provider),
+    dpr: new Contract(dprAddress, DATA_POINT_REGISTRY_ABI, provider),
+  };
+}
+
+/**
+ * Builds the HEAD request part of a write request
+ */
+function makeHeadRequest(path, options = {}) {
+  const { ifModifiedSince = 0, ifNoneMatch = ethers.ZeroHash } = options;
+  return { path, ifModifiedSince, ifNoneMatch };
+}
+
+/**
+ * Sends a site transaction and waits for its receipt, wrapping failures in a
+ * WttpPublishError with the request context
+ */
+async function sendSiteTransaction(site, method, args, overrides, context) {
+  try {
+    const tx = await site[method](...args, overrides);
+    logger.log(`📤 ${method} ${context.path} sent: ${tx.hash}`);
+    const receipt = await tx.wait();
+    logger.log(
+      `✅ ${method} ${context.path} confirmed in block ${receipt.blockNumber} (gas used ${receipt.gasUsed})`
+    );
+    return receipt;
+  } catch (error) {
+    if (error instanceof WttpError) throw error;
+    throw new WttpPublishError(
+      `${method} ${context.path} failed: ${
+        error?.shortMessage || error?.reason || error?.message || error
+      }`,
+      { ...context, method, cause: error }
+    );
+  }
+}
+
+/**
+ * Reads the resource head after a write, for the resulting etag
+ */
+async function readHead(site, path) {
+  return site.HEAD(makeHeadRequest(path));
+}
+
+/**
+ * Describes each chunk for upload: its datapoint address, whether it is
+ * already stored in DPS (dataPointSize > 0), whether the resource already
+ * holds it at the same index, and the royalty owed to reuse it (zero for
+ * datapoints not yet registered). At most `concurrency` chunks are looked up
+ * at once.
+ */
+async function planChunks(
+  site,
+  provider,
+  chunks,
+  startIndex,
+  current,
+  concurrency = DEFAULT_PLAN_CONCURRENCY
+) {
+  const { dps, dpr } = await getStorageContracts(site, provider);
+  const currentDataPoints = (current?.dataPoints || []).map((dataPoint) =>
+    dataPoint.toLowerCase()
+  );
+
+  return mapWithConcurrency(chunks, concurrency, async (chunk, i) => {
+    const chunkIndex = startIndex + i;
+    const dataPointAddress = await dps.calculateAddress(chunk);
+    const [size, royalty] = await Promise.all([
+      dps.dataPointSize(dataPointAddress),
+      dpr.getDataPointRoyalty(dataPointAddress),
+    ]);
+    const stored = size > 0n;
+    return {
+      data: chunk,
+      chunkIndex,
+      dataPointAddress,
+      royalty,
+      stored,
+      linked:
+        stored &&
+        currentDataPoints[chunkIndex] === dataPointAddress.toLowerCase(),
+    };
+  });
+}
+
+/**
+ * Reads a resource's current properties and datapoint addresses, or null if
+ * it doesn't exist yet. Other reverts (e.g. access control) are thrown.
+ */
+async function readCurrentResource(site, path) {
+  const getChunks = (end) =>
+    site.GET({
+      head: makeHeadRequest(path),
+      rangeChunks: { start: 0n, end },
+    });
+
+  let response;
+  try {
+    response = await getChunks(-1n);
+  } catch (error) {
+    if (error?.code === "CALL_EXCEPTION" && isNotFoundRevert(error)) {
+      return null;
+    }
+    throw error;
+  }
+  const { status, metadata } = response.head;
+  if (!(status === 200n || status === 206n)) return null;
+
+  // Large resources may be paged; ask for every chunk explicitly
+  let { dataPoints, totalChunks } = response.resource;
+  if (dataPoints.length < totalChunks) {
+    ({ dataPoints } = (await getChunks(totalChunks - 1n)).resource);
+  }
+  return { properties: metadata.properties, dataPoints: [...dataPoints] };
+}
+
+/**
+ * Checks whether stored resource properties match the ones being published
+ */
+function sameProperties(current, properties) {
+  return ["mimeType", "charset", "encoding", "language"].every(
+    (key) => current[key].toLowerCase() === properties[key]
+  );
+}
+
+/**
+ * Groups chunk items into transactions of at most `chunksPerTransaction` chunks
+ */
+function toBatches(items, chunksPerTransaction) {
+  const batchSize = Math.max(1, chunksPerTransaction);
+  const batches = [];
+  for (let first = 0; first < items.length; first += batchSize) {
+    batches.push(items.slice(first, first + batchSize));
+  }
+  return batches;
+}
+
+/**
+ * Converts chunk items to the request data and royalty value for one transaction
+ */
+function toChunkData(items, publisher) {
+  return {
+    data: items.map(({ data, chunkIndex }) => ({
+      data,
+      chunkIndex,
+      publisher,
+    })),
+    value: items.reduce((total, { royalty }) => total + royalty, 0n),
+  };
+}
+
+/**
+ * Estimates the gas the skipped chunks would have cost as PATCH transactions.
+ * Batches the RPC can't estimate use the rough gas model, flagged with
+ * `approximate`. Resolves to { gas, approximate }.
+ */
+async function estimateSkippedGas(site, path, items, options) {
+  const {
+    chunksPerTransaction = DEFAULT_CHUNKS_PER_TRANSACTION,
+    publisher,
+    overrides = {},
+  } = options;
+
+  let gas = 0n;
+  let approximate = false;
+  for (const batchItems of toBatches(items, chunksPerTransaction)) {
+    const { data, value } = toChunkData(batchItems, publisher);
+    try {
+      gas += await site.PATCH.estimateGas(
+        { head: makeHeadRequest(path), data },
+        { ...overrides, value }
+      );
+    } catch (error) {
+      logger.warn(
+        `Could not estimate gas for skipped chunks: ${
+          error?.shortMessage || error?.message || error
+        }`
+      );
+      gas += approximateWriteGas(batchItems);
+      approximate = true;
+    }
+  }
+  return { gas, approximate };
+}
+
+/**
+ * Sends chunk items with PUT (first transaction, when `put` is set) or PATCH,
+ * paying royalties for chunks that already exist. Returns the receipts.
+ */
+async function sendChunks(site, path, items, options) {
+  const {
+    put = false,
+    properties,
+    chunksPerTransaction = DEFAULT_CHUNKS_PER_TRANSACTION,
+    publisher,
+    overrides = {},
+    onProgress,
+    context,
+  } = options;
+
+  const batches = toBatches(items, chunksPerTransaction);
+  // A PUT with no content still needs one (empty) transaction
+  if (put && batches.length === 0) {
+    batches.push([]);
+  }
+
+  const receipts = [];
+  let chunksSent = 0;
+  for (const [batch, batchItems] of batches.entries()) {
+    const { data, value } = toChunkData(batchItems, publisher);
+
+    // Conditions apply to the first write only; later ones see its new etag
+    const head = makeHeadRequest(path, batch === 0 ? options : {});
+    const usePut = put && batch === 0;
+    const receipt = await sendSiteTransaction(
+      site,
+      usePut ? "PUT" : "PATCH",
+      [usePut ? { head, properties, data } : { head, data }],
+      { ...overrides, value },
+      context
+    );
+    receipts.push(receipt);
+
+    chunksSent += batchItems.length;
+    if (onProgress) {
+      onProgress({ chunksSent, totalChunks: items.length, receipt });
+    }
+  }
+
+  return receipts;
+}
+
+/**
+ * Approximates the gas of one write transaction from its chunks
+ */
+function approximateWriteGas(batchItems) {
+  return batchItems.reduce((total, { data, stored }) => {
+    const words = BigInt(Math.ceil(data.length / 32));
+    return (
+      total +
+      GAS_PER_CHUNK +
+      BigInt(data.length) * GAS_PER_CALLDATA_BYTE +
+      (stored ? 0n : words * GAS_PER_STORAGE_WORD)
+    );
+  }, GAS_PER_TRANSACTION);
+}
+
+/**
+ * Approximates the storage gas DPS avoids for chunks it already holds
+ */
+function approximateStorageGas(items) {
+  return items.reduce(
+    (total, { data }) =>
+      total + BigInt(Math.ceil(data.length / 32)) * GAS_PER_STORAGE_WORD,
+    0n
+  );
+}
+
+/**
+ * Describes what publishing `toSend` out of `items` avoids. Chunks skipped
+ * outright (the resource already links them at the same index) save their
+ * bytes, their royalty and the PATCH transactions that would have sent them;
+ * that gas comes from the rough model, flagged with `approximateGas`, until
+ * dedupeChunks replaces it with an RPC estimate. Chunks sent that DPS already
+ * stores save only their storage writes: the site API has no way to link a
+ * stored datapoint by address, so they still cost calldata and the royalty.
+ */
+function describeSavings(items, toSend, options = {}) {
+  const { chunksPerTransaction = DEFAULT_CHUNKS_PER_TRANSACTION } = options;
+  const skipped = items.filter((item) => !toSend.includes(item));
+  const reused = toSend.filter((item) => item.stored);
+  return {
+    chunksSkipped: skipped.length,
+    bytesSkipped: skipped.reduce((total, { data }) => total + data.length, 0),
+    royaltySaved: skipped.reduce((total, { royalty }) => total + royalty, 0n),
+    gasSaved: toBatches(skipped, chunksPerTransaction).reduce(
+      (total, batchItems) => total + approximateWriteGas(batchItems),
+      0n
+    ),
+    approximateGas: skipped.length > 0,
+    chunksReused: reused.length,
+    bytesReused: reused.reduce((total, { data }) => total + data.length, 0),
+    storageGasSaved: approximateStorageGas(reused),
+  };
+}
+
+/**
+ * Splits planned chunks into those to send and those to skip, and reports the
+ * bytes and gas saved by skipping
+ */
+async function dedupeChunks(site, path, items, options) {
+  const toSend = items.filter((item) => !item.linked);
+  const skipped = items.filter((item) => item.linked);
+
+  const savings = describeSavings(items, toSend, options);
+  if (skipped.length > 0 && options.estimateSavings !== false) {
+    const { gas, approximate } = await estimateSkippedGas(
+      site,
+      path,
+      skipped,
+      options
+    );
+    savings.gasSaved = gas;
+    savings.approximateGas = approximate;
+  }
+  if (skipped.length > 0) {
+    logger.log(
+      `♻️ Skipped ${savings.chunksSkipped} unchanged chunk(s) of ${path}: ${savings.bytesSkipped} bytes, ${savings.royaltySaved} wei royalty and ~${savings.gasSaved} gas saved`
+    );
+  }
+  if (savings.chunksReused > 0) {
+    logger.log(
+      `♻️ ${savings.chunksReused} chunk(s) of ${path} already in DPS: resent for ~${savings.storageGasSaved} less storage gas`
+    );
+  }
+  return { toSend, savings };
+}
+
+/**
+ * Uploads (or replaces) a resource. Chunks the resource already holds are
+ * skipped: when its properties are unchanged and it isn't shrinking, only the
+ * changed chunks are sent with PATCH; otherwise PUT with the first chunks and
+ * properties, then PATCH for the rest. Returns the transaction receipts, the
+ * datapoint addresses, the resulting etag and the savings from skipped chunks.
+ */
+export async function putWTTPResource(config) {
+  const {
+    siteAddress,
+    path: inputPath,
+    content,
+    mimeType,
+    charset,
+    encoding,
+    language,
+    signer,
+    options = {},
+  } = config;
+  const { chunkSize = DEFAULT_CHUNK_SIZE, dedupe = true } = options;
+
+  const path = normalizePath(inputPath || "/");
+  const properties = toProperties({ mimeType, charset, encoding, language });
+  const chunks = splitIntoChunks(toContentBytes(content), chunkSize);
+
+  const { address, chainId, site } = await connectSite(siteAddress, signer);
+  const context = { site: address, chain: chainId, path };
+  const publisher = options.publisher || (await signer.getAddress());
+  logger.log(`📦 Publishing ${path} to ${address}: ${chunks.length} chunk(s)`);
+
+  const current = dedupe ? await readCurrentResource(site, path) : null;
+  const items = await planChunks(
+    site,
+    signer.provider,
+    chunks,
+    0,
+    current,
+    options.concurrency
+  );
+
+  // PUT replaces every chunk, so existing ones can only be kept by patching in place
+  const patchInPlace =
+    current &&
+    sameProperties(current.properties, properties) &&
+    chunks.length >= current.dataPoints.length;
+
+  let toSend = items;
+  let savings = describeSavings(items, items, options);
+  if (patchInPlace) {
+    ({ toSend, savings } = await dedupeChunks(site, path, items, {
+      ...options,
+      publisher,
+    }));
+  }
+
+  const receipts = await sendChunks(site, path, toSend, {
+    ...options,
+    put: !patchInPlace,
+    properties,
+    publisher,
+    context,
+  });
+
+  const head = await readHead(site, path);
+  logger.log(`🏷️ Published ${path} with etag ${head.etag}`);
+  return {
+    receipts,
+    dataPoints: items.map(({ dataPointAddress }) => dataPointAddress),
+    etag: head.etag,
+    head,
+    savings,
+  };
+}
+
+/**
+ * Writes chunks into an existing resource with PATCH, starting at
+ * `chunkIndex` (e.g. the current chunk count to append). Chunks the resource
+ * already holds at the same index are skipped. Returns the transaction
+ * receipts, the datapoint addresses, the resulting etag and the savings.
+ */
+export async function patchWTTPResource(config) {
+  const {
+    siteAddress,
+    path: inputPath,
+    content,
+    chunkIndex = 0,
+    signer,
+    options = {},
+  } = config;
+  const { chunkSize = DEFAULT_CHUNK_SIZE, dedupe = true } = options;
+
+  const path = normalizePath(inputPath || "/");
+  const chunks = splitIntoChunks(toContentBytes(content), chunkSize);
+  if (chunks.length === 0) {
+    throw new Error("PATCH requires content");
+  }
+
+  const { address, chainId, site } = await connectSite(siteAddress, signer);
+  const context = { site: address, chain: chainId, path };
+  const publisher = options.publisher || (await signer.getAddress());
+  logger.log(
+    `🩹 Patching ${path} on ${address}: ${chunks.length} chunk(s) from index ${chunkIndex}`
+  );
+
+  const current = dedupe ? await readCurrentResource(site, path) : null;
+  const items = await planChunks(
+    site,
+    signer.provider,
+    chunks,
+    chunkIndex,
+    current,
+    options.concurrency
+  );
+  const { toSend, savings } = await dedupeChunks(site, path, items, {
+    ...options,
+    publisher,
+  });
+
+  const receipts = await sendChunks(site, path, toSend, {
+    ...options,
+    publisher,
+    context,
+  });
+
+  const head = await readHead(site, path);
+  return {
+    receipts,
+    dataPoints: items.map(({ dataPointAddress }) => dataPointAddress),
+    etag: head.etag,
+    head,
+    savings,
+  };
+}
+
+/**
+ * Defines a resource's header (cache, CORS, redirect). Fields that aren't
+ * given keep their current values. Returns the receipt and resulting etag.
+ */
+export async function defineWTTPResource(config) {
+  const {
+    siteAddress,
+    path: inputPath,
+    header = {},
+    signer,
+    options = {},
+  } = config;
+  const { overrides = {} } = options;
+
+  const path = normalizePath(inputPath || "/");
+  const { address, chainId, site } = await connectSite(siteAddress, signer);
+  const context = { site: address, chain: chainId, path };
+
+  // Start from the current header so partial updates don't reset other fields
+  let current;
+  try {
+    current = (await readHead(site, path)).headerInfo;
+  } catch (error) {
+    logger.log(`No current header for ${path}, defining a new one`);
+  }
+  if (!current && header.cors?.methods === undefined) {
+    throw new Error(
+      "header.cors.methods is required when defining a new resource header"
+    );
+  }
+  const data = {
+    cache: {
+      immutableFlag: current?.cache.immutableFlag ?? false,
+      preset: current?.cache.preset ?? 0,
+      custom: current?.cache.custom ?? "",
+      ...header.cache,
+    },
+    cors: {
+      methods: current?.cors.methods ?? 0,
+      origins: current ? [...current.cors.origins] : [],
+      preset: current?.cors.preset ?? 0,
+      custom: current?.cors.custom ?? "",
+      ...header.cors,
+    },
+    redirect: {
+      code: current?.redirect.code ?? 0,
+      location: current?.redirect.location ?? "",
+      ...header.redirect,
+    },
+  };
+
+  logger.log(`🧾 Defining header for ${path} on ${address}`);
+  const receipt = await sendSiteTransaction(
+    site,
+    "DEFINE",
+    [{ head: makeHeadRequest(path, options), data }],
+    overrides,
+    context
+  );
+
+  const head = await readHead(site, path);
+  return { receipt, etag: head.etag, head };
+}
+
+/**
+ * Deletes a resource. Returns the transaction receipt.
+ */
+export async function deleteWTTPResource(config) {
+  const { siteAddress, path: inputPath, signer, options = {} } = config;
+  const { overrides = {} } = options;
+
+  const path = normalizePath(inputPath || "/");
+  const { address, chainId, site } = await connectSite(siteAddress, signer);
+  const context = { site: address, chain: chainId, path };
+
+  logger.log(`🗑️ Deleting ${path} from ${address}`);
+  const receipt = await sendSiteTransaction(
+    site,
+    "DELETE",
+    [makeHeadRequest(path, options)],
+    overrides,
+    context
+  );
+  return { receipt };
+}
+
+/**
+ * Estimates what publishing a resource would cost, without signing anything:
+ * the chunks that would be sent (after deduplication, as putWTTPResource
+ * would), the royalties owed to publishers of datapoints that already exist,
+ * and the gas of the PUT/PATCH transactions. Gas comes from eth_estimateGas
+ * where the node can simulate the write (`from` must hold the site's resource
+ * role) and from a rough model otherwise, flagged with `approximateGas`.
+ * `savings` describes what deduplication avoids, as putWTTPResource reports
+ * it. Works with a signer or a plain provider.
+ */
+export async function estimateWTTPResourceCost(config) {
+  const {
+    siteAddress,
+    path: inputPath,
+    content,
+    mimeType,
+    charset,
+    encoding,
+    language,
+    signer,
+    provider,
+    options = {},
+  } = config;
+  const {
+    chunkSize = DEFAULT_CHUNK_SIZE,
+    chunksPerTransaction = DEFAULT_CHUNKS_PER_TRANSACTION,
+    dedupe = true,
+  } = options;
+
+  const runner = signer || provider;
+  const path = normalizePath(inputPath || "/");
+  const properties = toProperties({ mimeType, charset, encoding, language });
+  const chunks = splitIntoChunks(toContentBytes(content), chunkSize);
+
+  const { address, site } = await connectSite(siteAddress, runner);
+  const from = options.from || (signer ? await signer.getAddress() : undefined);
+  const publisher = options.publisher || from || ethers.ZeroAddress;
+  logger.log(
+    `🧮 Estimating cost of ${path} on ${address}: ${chunks.length} chunk(s)`
+  );
+
+  const current = dedupe ? await readCurrentResource(site, path) : null;
+  const items = await planChunks(
+    site,
+    runner.provider,
+    chunks,
+    0,
+    current,
+    options.concurrency
+  );
+  const patchInPlace =
+    current &&
+    sameProperties(current.properties, properties) &&
+    chunks.length >= current.dataPoints.length;
+  const toSend = patchInPlace ? items.filter((item) => !item.linked) : items;
+  const savings = describeSavings(items, toSend, options);
+
+  const batches = toBatches(toSend, chunksPerTransaction);
+  if (!patchInPlace && batches.length === 0) {
+    batches.push([]);
+  }
+
+  let gas = 0n;
+  let approximateGas = false;
+  for (const [batch, batchItems] of batches.entries()) {
+    const { data, value } = toChunkData(batchItems, publisher);
+    const head = makeHeadRequest(path);
+    const usePut = !patchInPlace && batch === 0;
+    // Later batches of a new resource can't be simulated before the PUT lands
+    const estimate = from
+      ? await site[usePut ? "PUT" : "PATCH"]
+          .estimateGas(usePut ? { head, properties, data } : { head, data }, {
+            value,
+            from,
+          })
+          .catch(() => null)
+      : null;
+    if (estimate === null) {
+      approximateGas = true;
+    }
+    gas += estimate ?? approximateWriteGas(batchItems);
+  }
+
+  const { dpr } = await getStorageContracts(site, runner.provider);
+  const [royaltyRate, feeData] = await Promise.all([
+    dpr.royaltyRate(),
+    runner.provider.getFeeData(),
+  ]);
+  const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+  const royalty = toSend.reduce((total, { royalty }) => total + royalty, 0n);
+  const gasCost = gas * gasPrice;
+
+  return {
+    path,
+    chunks: items.length,
+    chunksToSend: toSend.length,
+    chunksSkipped: items.length - toSend.length,
+    newDataPoints: toSend.filter((item) => !item.stored).length,
+    bytesToSend: toSend.reduce((total, { data }) => total + data.length, 0),
+    transactions: batches.length,
+    royalty,
+    royaltyRate,
+    gas,
+    approximateGas,
+    gasPrice,
+    gasCost,
+    total: gasCost + royalty,
+    savings,
+  };
+}
+
+export { splitIntoChunks };
@@ -0,0 +1,315 @@
+/**
+ * WTTP URLs
+ *
+ * Parses and builds links to WTTP resources:
+ *
+ *   wttp-url = [ "wttp://" ] host [ ":" chain ] [ path ] [ "?" query ] [ "#" fragment ]
+ *   host     = site address ("0x" + 40 hex digits) or site name (ENS, DNS, hosts)
+ *   chain    = chain ID ("137") or a registered network name or alias ("polygon")
+ *   path     = "/" segments, percent-encoded; "/" when omitted
+ *
+ * The chain takes the place an HTTP URL gives the port, so it is only read from
+ * the authority: `site.eth:polygon/a:b` is site.eth on Polygon with path /a:b.
+ * Paths are kept decoded (`/my file.html`) with dot segments removed, and are
+ * encoded again by toString(). An encoded "/" or "\" (%2F, %5C) stays encoded,
+ * since decoding it would split or change the segment it belongs to. Query and
+ * fragment are kept as written.
+ *
+ * Usage:
+ * ```javascript
+ * import { WttpURL } from './wttpUrl.js';
+ *
+ * const url = new WttpURL('wttp://site.eth:polygon/docs/my%20page.html?v=2#intro');
+ * url.host;    // 'site.eth'
+ * url.chainId; // 137
+ * url.path;    // '/docs/my page.html'
+ * url.resolve('../img/logo.png').toString(); // 'wttp://site.eth:polygon/img/logo.png'
+ * ```
+ */
+
+import { ethers } from "ethers";
+import { getNetworkConfig } from "./chainRegistry.js";
+
+const SCHEME = "wttp://";
+
+// Chain used by links that name none
+const DEFAULT_CHAIN = "137";
+
+const ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+
+// Any scheme-qualified URL, e.g. "https://", checked before relative references
+const ABSOLUTE_URL = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+/**
+ * Splits "path?query#fragment" into its parts, null for absent ones
+ */
+function splitReference(reference) {
+  let rest = reference;
+  let fragment = null;
+  let query = null;
+
+  const hashIndex = rest.indexOf("#");
+  if (hashIndex !== -1) {
+    fragment = rest.slice(hashIndex + 1);
+    rest = rest.slice(0, hashIndex);
+  }
+  const queryIndex = rest.indexOf("?");
+  if (queryIndex !== -1) {
+    query = rest.slice(queryIndex + 1);
+    rest = rest.slice(0, queryIndex);
+  }
+  return { path: rest, query, fragment };
+}
+
+/**
+ * Percent-decodes a path segment, leaving malformed escapes as written
+ */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+}
+
+// Escapes that stay encoded in a decoded path
+const KEPT_ESCAPES = /(%2F|%5C)/i;
+
+function decodePath(path) {
+  return path
+    .split("/")
+    .map((segment) =>
+      segment
+        .split(KEPT_ESCAPES)
+        .map((part, i) => (i % 2 ? part.toUpperCase() : decodeSegment(part)))
+        .join("")
+    )
+    .join("/");
+}
+
+function encodePath(path) {
+  return path
+    .split("/")
+    .map((segment) =>
+      segment
+        .split(KEPT_ESCAPES)
+        .map((part, i) =>
+          i % 2
+            ? part
+            : encodeURIComponent(part).replace(/%3A|%40/g, decodeURIComponent)
+        )
+        .join("")
+    )
+    .join("/");
+}
+
+/**
+ * Removes "." and ".." segments from an absolute path (RFC 3986 5.2.4),
+ * keeping a trailing slash
+ */
+function removeDotSegments(path) {
+  const output = [];
+  const segments = path.split("/").slice(1);
+  segments.forEach((segment, i) => {
+    const last = i === segments.length - 1;
+    if (segment === ".") {
+      if (last) output.push("");
+    } else if (segment === "..") {
+      output.pop();
+      if (last) output.push("");
+    } else {
+      output.push(segment);
+    }
+  });
+  return "/" + output.join("/");
+}
+
+/**
+ * The chain a URL fetches from: its chain ID when the network is known,
+ * otherwise the network as written
+ */
+function resolveChain(url) {
+  const network = url.network;
+  if (/^\d+$/.test(network)) return Number(network);
+  return getNetworkConfig(network)?.chainId ?? network.toLowerCase();
+}
+
+/**
+ * Parses the "host[:chain]" authority
+ */
+function parseAuthority(authority, input) {
+  const parts = authority.split(":");
+  if (parts.length > 2) {
+    throw new TypeError(
+      `Invalid WTTP URL ${input}: too many ":" in ${authority}`
+    );
+  }
+
+  const host = decodeSegment(parts[0]);
+  if (!host || /[\s/?#@]/.test(host)) {
+    throw new TypeError(`Invalid WTTP URL ${input}: bad host "${host}"`);
+  }
+
+  const chain = parts[1] || null;
+  if (chain !== null && !/^[\w-]+$/.test(chain)) {
+    throw new TypeError(`Invalid WTTP URL ${input}: bad chain "${chain}"`);
+  }
+
+  return {
+    // Addresses are checksummed; a wrong checksum is not an error in a link
+    host: ADDRESS.test(host)
+      ? ethers.getAddress(host.toLowerCase())
+      : host.toLowerCase(),
+    chain,
+  };
+}
+
+export class WttpURL {
+  /**
+   * Parses a WTTP URL. With `base`, relative references are resolved against
+   * it. Throws a TypeError for input that doesn't fit the grammar.
+   */
+  constructor(input, base) {
+    if (input instanceof WttpURL) {
+      Object.assign(this, input);
+      return;
+    }
+    if (base !== undefined) {
+      Object.assign(this, new WttpURL(base).resolve(input));
+      return;
+    }
+    if (typeof input !== "string") {
+      throw new TypeError("WTTP URL must be a string");
+    }
+
+    const value = input.trim();
+    let rest = value;
+    if (rest.slice(0, SCHEME.length).toLowerCase() === SCHEME) {
+      rest = rest.slice(SCHEME.length);
+    } else if (ABSOLUTE_URL.test(rest)) {
+      throw new TypeError(`Not a WTTP URL: ${input}`);
+    }
+
+    const authorityEnd = rest.search(/[/?#]/);
+    const authority = authorityEnd === -1 ? rest : rest.slice(0, authorityEnd);
+    const { path, query, fragment } = splitReference(
+      authorityEnd === -1 ? "" : rest.slice(authorityEnd)
+    );
+    const { host, chain } = parseAuthority(authority, input);
+
+    this.host = host;
+    this.chain = chain;
+    this.path = removeDotSegments(decodePath(path || "/"));
+    this.query = query ?? "";
+    this.fragment = fragment ?? "";
+  }
+
+  /**
+   * Parses a WTTP URL, returning null instead of throwing
+   */
+  static parse(input, base) {
+    try {
+      return new WttpURL(input, base);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether the host is a site address rather than a name
+   */
+  get isAddress() {
+    return ADDRESS.test(this.host);
+  }
+
+  /**
+   * The chain ID the URL names, or null when it names none or an unknown
+   * network
+   */
+  get chainId() {
+    if (this.chain === null) return null;
+    if (/^\d+$/.test(this.chain)) return Number(this.chain);
+    return getNetworkConfig(this.chain)?.chainId ?? null;
+  }
+
+  /**
+   * The network to fetch from: the URL's chain, or Polygon when it names none
+   */
+  get network() {
+    return this.chain ?? DEFAULT_CHAIN;
+  }
+
+  get searchParams() {
+    return new URLSearchParams(this.query);
+  }
+
+  /**
+   * Resolves a reference against this URL the way a browser resolves links:
+   * "wttp://..." replaces it, "/a" replaces the path, "a" and "../a" are
+   * relative to the current directory, "?q" and "#f" keep the path. Other
+   * schemes throw a TypeError.
+   */
+  resolve(reference) {
+    const value = String(reference).trim();
+    if (
+      value.slice(0, SCHEME.length).toLowerCase() === SCHEME ||
+      ABSOLUTE_URL.test(value)
+    ) {
+      return new WttpURL(value);
+    }
+    if (value.startsWith("//")) {
+      return new WttpURL(SCHEME + value.slice(2));
+    }
+
+    const { path, query, fragment } = splitReference(value);
+    const resolved = new WttpURL(this);
+    resolved.fragment = fragment ?? "";
+    if (!path) {
+      if (query !== null) resolved.query = query;
+      return resolved;
+    }
+
+    const baseDir = this.path.slice(0, this.path.lastIndexOf("/") + 1);
+    // The base path is already decoded; only the reference needs it
+    resolved.path = removeDotSegments(
+      path.startsWith("/") ? decodePath(path) : baseDir + decodePath(path)
+    );
+    resolved.query = query ?? "";
+    return resolved;
+  }
+
+  /**
+   * Whether two URLs name the same resource. Hosts compare without regard to
+   * case and chains by the chain they fetch from, so "polygon" equals "137"
+   * and a URL naming no chain equals one naming Polygon. The fragment is
+   * compared unless `ignoreFragment` is set.
+   */
+  equals(other, options = {}) {
+    const { ignoreFragment = false } = options;
+    const url = other instanceof WttpURL ? other : WttpURL.parse(other);
+    if (!url) return false;
+
+    return (
+      this.host.toLowerCase() === url.host.toLowerCase() &&
+      resolveChain(this) === resolveChain(url) &&
+      this.path === url.path &&
+      this.query === url.query &&
+      (ignoreFragment || this.fragment === url.fragment)
+    );
+  }
+
+  toString() {
+    return (
+      SCHEME +
+      this.host +
+      (this.chain ? `:${this.chain}` : "") +
+      encodePath(this.path) +
+      (this.query ? `?${this.query}` : "") +
+      (this.fragment ? `#${this.fragment}` : "")
+    );
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
@@ -1,6 +1,19 @@
 // handleWttpUrl.js
-import { fetchWTTPResource, decodeContent } from "../utils/wttpFetch.js";
-import { parseWttpUrl } from "./parseWttpUrl.js";
+import {
+  fetchWTTPResource,
+  decodeContent,
+  isTextMimeType,
+  loadNetworkConfig,
+  loadHostsFile,
+  WttpNotFoundError,
+  WttpRpcError,
+  WttpContractMismatchError,
+  WttpEnsError,
+  WttpIntegrityError,
+  WttpRevertError,
+} from "../utils/wttpFetch.js";
+import { getContentType, getMimeTypeForPath } from "../utils/wttpCodec.js";
+import { getPageWttpUrl, getServedWttpUrl } from "./pageWttpUrl.js";
 import {
   processStyleSheets,
   processScripts,
@@ -8,23 +21,37 @@ import {
 } from "./processTagsFromHtml.js";
 
 export async function handleWTTPURL() {
-  // Get the current URL
-  let wttpUrl = window.location.pathname;
   let fullContent = "";
   console.log("handleWTTPURL");
 
-  if (process.env.SINGLE_CONTRACT) {
-    // Get the url path and add it to the contract address
-    wttpUrl = `${process.env.SINGLE_CONTRACT}${wttpUrl}`;
-  } else {
-    // /wttp/ prefix allows gateway-style URLs
-    // remove /wttp/ if it exists
-    wttpUrl = wttpUrl.startsWith("/wttp/")
-      ? wttpUrl.split("/wttp/")[1]
-      : wttpUrl;
+  // Register extra chains before any chain IDs in the URL are resolved
+  if (process.env.NETWORK_CONFIG_URL) {
+    try {
+      await loadNetworkConfig(process.env.NETWORK_CONFIG_URL);
+    } catch (error) {
+      console.error("Failed to load network config:", error);
+    }
   }
 
-  const { address, chain, path } = parseWttpUrl(wttpUrl);
+  // Site names from a hosts map, e.g. { "blog": "0xSite:137" }
+  if (process.env.HOSTS_CONFIG_URL) {
+    try {
+      await loadHostsFile(process.env.HOSTS_CONFIG_URL);
+    } catch (error) {
+      console.error("Failed to load hosts:", error);
+    }
+  }
+
+  let pageUrl;
+  try {
+    pageUrl = getPageWttpUrl();
+  } catch (error) {
+    console.error("Invalid WTTP URL:", error);
+    showFetchError("Invalid address", error.message);
+    return;
+  }
+  // No chain in the URL lets the name's records pick one
+  const { host: address, chain, path } = pageUrl;
 
   console.log("Debug: Initial contract address or ENS:", address);
   console.log("Debug: Chain:", chain);
@@ -39,24 +66,42 @@ export async function handleWTTPURL() {
     chain
   );
 
+  // Where the page was actually served from, for resolving its relative links
+  let servedUrl;
   try {
     const result = await fetchWTTPResource({
       siteAddress: address,
       path: path,
       network: chain,
+      options: { batch: true },
     });
 
     if (
       result.response.head.status === 200n ||
       result.response.head.status === 206n
     ) {
-      // Get the content type from metadata
-      const mimeType = result.response.head.metadata.properties.mimeType;
-      console.log("MIME type is::", mimeType);
+      servedUrl = getServedWttpUrl(pageUrl, result);
+
+      // Get the content type from metadata; untyped pages are assumed to be HTML
+      const properties = result.response.head.metadata.properties;
+      const contentType = getContentType(
+        properties,
+        getMimeTypeForPath(path) || "text/html"
+      );
+      console.log("Content type is::", contentType);
+
+      if (result.content && !contentType.startsWith("text/html")) {
+        showNonHtmlResource(result.content, contentType, path);
+        return;
+      }
 
       if (result.content) {
-        // Decode content based on MIME type
-        const content = decodeContent(result.content, mimeType);
+        // Decode with the page's charset (metadata, BOM or <meta charset>)
+        const content = decodeContent(
+          result.content,
+          contentType,
+          properties.charset
+        );
         // console.log(
         //   "content is::",
         //   typeof content === "string"
@@ -64,23 +109,24 @@ export async function handleWTTPURL() {
         //     : `[Binary data: ${result.content.length} bytes]`
         // );
 
-        // If content is binary, convert to base64 for now to maintain compatibility
         fullContent =
           typeof content === "string"
             ? content
-            : btoa(String.fromCharCode(...result.content));
+            : new TextDecoder().decode(result.content);
       } else {
         console.error("No content received from WTTP resource");
+        showFetchError("Empty resource", `${path} has no content.`);
         return;
       }
     } else {
-      console.error(
-        `Error: ${result.response.head.status} - Resource not found or error`
-      );
+      const status = result.response.head.status;
+      console.error(`Error: ${status} - Resource not available`);
+      showFetchError(`Error ${status}`, `${path} could not be loaded.`);
       return;
     }
   } catch (error) {
     console.error("Failed to fetch WTTP resource:", error);
+    showFetchError(...describeFetchError(error));
     return;
   }
 
@@ -137,7 +183,7 @@ export async function handleWTTPURL() {
 
   // Process stylesheets first to prevent browser from loading original CSS links
   console.log("Processing stylesheets...");
-  fullContent = await processStyleSheets(fullContent);
+  fullContent = await processStyleSheets(fullContent, servedUrl);
 
   // Process scripts
   //console.log("Processing scripts...");
@@ -146,17 +192,96 @@ export async function handleWTTPURL() {
   // // Process images after DOM update
   setTimeout(async () => {
     // Stringify the document body
-    await processImages(fullContent);
+    await processImages(servedUrl);
     document.body.style.opacity = 100;
   }, 100);
 
   // Gives some time for the new dom an style sheets to load
   setTimeout(() => {
     console.log("Processing scripts...");
-    processScripts(fullContent);
+    processScripts(fullContent, servedUrl);
   }, 1000);
 }
 
+/**
+ * Returns a title and explanation for a fetch failure, worded by error type
+ */
+function describeFetchError(error) {
+  const onChain = error.chain !== undefined ? ` on chain ${error.chain}` : "";
+  if (error instanceof WttpNotFoundError) {
+    return [
+      `${error.status} Not Found`,
+      `${error.path} was not found on ${error.site}.`,
+    ];
+  }
+  if (error instanceof WttpEnsError) {
+    return [
+      "Name not resolved",
+      `${error.ensName} could not be resolved to a site address${onChain}.`,
+    ];
+  }
+  if (error instanceof WttpRevertError) {
+    return [
+      "Request rejected",
+      `${error.site} rejected ${error.path}: ${error.reason}.`,
+    ];
+  }
+  if (error instanceof WttpContractMismatchError) {
+    return ["Not a WTTP site", `${error.site} is not a WTTP site${onChain}.`];
+  }
+  if (error instanceof WttpRpcError) {
+    return [
+      "Network unavailable",
+      `The RPC endpoints${onChain} could not be reached. Please try again later.`,
+    ];
+  }
+  if (error instanceof WttpIntegrityError) {
+    return ["Content could not be verified", error.message];
+  }
+  return ["Error loading content", error?.message || String(error)];
+}
+
+/**
+ * Replaces the loading page with an error message
+ */
+function showFetchError(title, detail) {
+  const heading = document.createElement("h1");
+  heading.textContent = title;
+  const message = document.createElement("p");
+  message.textContent = detail;
+  document.body.replaceChildren(heading, message);
+}
+
+/**
+ * Shows a resource that isn't an HTML page: images, audio and video inline,
+ * text as plain text and anything else as a download link
+ */
+function showNonHtmlResource(bytes, contentType, path) {
+  const [type] = contentType.split("/");
+  const url = URL.createObjectURL(new Blob([bytes], { type: contentType }));
+  let element;
+
+  if (type === "image") {
+    element = document.createElement("img");
+    element.src = url;
+    element.alt = path;
+  } else if (type === "audio" || type === "video") {
+    element = document.createElement(type);
+    element.controls = true;
+    element.src = url;
+  } else if (isTextMimeType(contentType)) {
+    element = document.createElement("pre");
+    element.textContent = decodeContent(bytes, contentType);
+  } else {
+    element = document.createElement("a");
+    element.href = url;
+    element.download = path.split("/").pop() || "download";
+    element.textContent = `Download ${path} (${contentType}, ${bytes.length} bytes)`;
+  }
+
+  document.body.replaceChildren(element);
+}
+
 function extractNonStylesheetTags(content, regex) {
   const tags = content.match(regex);
   if (tags && tags.length) {
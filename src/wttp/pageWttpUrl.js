@@ -0,0 +1,34 @@
+// pageWttpUrl.js
+import { WttpURL } from "../utils/wttpUrl.js";
+
+/**
+ * The WTTP URL of the page the gateway is showing, from the browser location:
+ * /wttp/0xSite:137/path (or /0xSite:137/path), or SINGLE_CONTRACT plus the
+ * path when the gateway serves a single site
+ */
+export function getPageWttpUrl() {
+  const { pathname, search, hash } = window.location;
+  let wttpUrl = pathname;
+
+  if (process.env.SINGLE_CONTRACT) {
+    wttpUrl = `${process.env.SINGLE_CONTRACT}${pathname}`;
+  } else if (pathname.startsWith("/wttp/")) {
+    // /wttp/ prefix allows gateway-style URLs
+    wttpUrl = pathname.slice("/wttp/".length);
+  } else {
+    wttpUrl = pathname.slice(1);
+  }
+
+  return new WttpURL(`${wttpUrl}${search}${hash}`);
+}
+
+/**
+ * The WTTP URL a resource was served from: `url` with the path
+ * fetchWTTPResource reports after following redirects and index fallbacks.
+ * Relative links in the resource resolve against this URL.
+ */
+export function getServedWttpUrl(url, result) {
+  const served = new WttpURL(url);
+  if (result?.path) served.path = result.path;
+  return served;
+}
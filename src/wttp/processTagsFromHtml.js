@@ -1,9 +1,37 @@
 // getTagsFromHtml.js
-import { parseWttpUrl } from "./parseWttpUrl.js";
+import { WttpURL } from "../utils/wttpUrl.js";
+import { getPageWttpUrl, getServedWttpUrl } from "./pageWttpUrl.js";
 import { fetchWTTPResource, decodeContent } from "../utils/wttpFetch.js";
+import {
+  getContentType,
+  getMimeTypeForPath,
+  DEFAULT_MIME_TYPE,
+} from "../utils/wttpCodec.js";
+
+// Bytes per String.fromCharCode call when base64 encoding, to stay under argument limits
+const BASE64_CHUNK_SIZE = 0x8000;
+
+// Helper function to build a data URL for fetched bytes
+function toDataUrl(bytes, contentType) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK_SIZE));
+  }
+  return `data:${contentType};base64,${btoa(binary)}`;
+}
 
-// Helper function to process embedded URLs in CSS content
-async function processCssUrls(cssContent, currentAddress, currentChain) {
+// Helper function to get a fetched resource's content type: its stored mimeType,
+// else a guess from the path
+function getResourceContentType(result, path) {
+  return getContentType(
+    result.response.head.metadata.properties,
+    getMimeTypeForPath(path) || DEFAULT_MIME_TYPE
+  );
+}
+
+// Helper function to process embedded URLs in CSS content; relative URLs are
+// resolved against the stylesheet's WTTP URL
+async function processCssUrls(cssContent, styleSheetUrl) {
   // Regular expression to find url() declarations in CSS
   const urlRegex = /url\(['"]?([^'")]+)['"]?\)/g;
   let processedCss = cssContent;
@@ -24,22 +52,12 @@ async function processCssUrls(cssContent, currentAddress, currentChain) {
     }
 
     try {
-      let siteAddress;
-      let network;
-      let resourcePath;
-
-      if (urlPath.startsWith("wttp://")) {
-        // Handle WTTP URLs directly
-        const { address, chain, path } = parseWttpUrl(urlPath);
-        siteAddress = address;
-        network = chain;
-        resourcePath = path;
-      } else {
-        // Handle relative URLs - fetch from the same WTTP source
-        siteAddress = currentAddress;
-        network = currentChain;
-        resourcePath = urlPath.startsWith("/") ? urlPath : `/${urlPath}`;
-      }
+      // WTTP URLs are used directly, relative URLs come from the same site
+      const {
+        host: siteAddress,
+        chain: network,
+        path: resourcePath,
+      } = styleSheetUrl.resolve(urlPath);
 
       console.log("Fetching CSS embedded resource:", {
         siteAddress,
@@ -51,39 +69,19 @@ async function processCssUrls(cssContent, currentAddress, currentChain) {
         siteAddress: siteAddress,
         path: resourcePath,
         network: network,
+        options: { batch: true },
       });
 
       if (
         result.response.head.status === 200n ||
         result.response.head.status === 206n
       ) {
-        const mimeType = result.response.head.metadata.properties.mimeType;
-
         if (result.content) {
-          const content = decodeContent(result.content, mimeType);
-
-          // Determine MIME type based on file extension
-          const extension = urlPath.split(".").pop().toLowerCase();
-          let actualMimeType = "application/octet-stream";
-
-          if (extension === "jpg" || extension === "jpeg") {
-            actualMimeType = "image/jpeg";
-          } else if (extension === "png") {
-            actualMimeType = "image/png";
-          } else if (extension === "gif") {
-            actualMimeType = "image/gif";
-          } else if (extension === "svg") {
-            actualMimeType = "image/svg+xml";
-          } else if (extension === "webp") {
-            actualMimeType = "image/webp";
-          }
-
-          // Create data URL
-          const base64Content =
-            typeof content === "string"
-              ? btoa(content)
-              : btoa(String.fromCharCode(...result.content));
-          const dataUrl = `data:${actualMimeType};base64,${base64Content}`;
+          // Create data URL with the resource's real type (fonts, images, ...)
+          const dataUrl = toDataUrl(
+            result.content,
+            getResourceContentType(result, resourcePath)
+          );
           processedCss = processedCss.replace(originalUrl, `url('${dataUrl}')`);
         }
 
@@ -101,7 +99,12 @@ async function processCssUrls(cssContent, currentAddress, currentChain) {
   return processedCss;
 }
 
-export async function processStyleSheets(fullContent) {
+// Relative stylesheet, script and image URLs resolve against baseUrl, the WTTP
+// URL the page was served from
+export async function processStyleSheets(
+  fullContent,
+  baseUrl = getPageWttpUrl()
+) {
   const styleSheets = fullContent.match(/<link[^>]+>/g);
   console.log("Found stylesheets:", styleSheets);
   if (styleSheets) {
@@ -115,42 +118,20 @@ export async function processStyleSheets(fullContent) {
 
         // Handle both WTTP URLs and regular relative URLs
         let result;
-        let fetchAddress;
-        let fetchChain;
-        let fetchPath;
+        let styleSheetUrl;
 
         if (href.startsWith("wttp://")) {
-          const { address, chain, path } = parseWttpUrl(href);
-          console.log("Processing wttp stylesheet", address, chain, path);
-
-          fetchAddress = address;
-          fetchChain = chain;
-          fetchPath = path;
-        } else if (href.endsWith(".css") || href.includes("style")) {
+          styleSheetUrl = WttpURL.parse(href);
+          console.log("Processing wttp stylesheet", styleSheetUrl?.toString());
+        } else if (
+          !/^(https?:)?\/\//.test(href) &&
+          (href.endsWith(".css") || href.includes("style"))
+        ) {
           // Handle regular CSS files that might be relative URLs
           // These should be fetched from the same WTTP source as the main page
           console.log("Processing relative CSS file:", href);
           try {
-            // Get the current WTTP URL from the page
-            const currentUrl = window.location.pathname;
-            let wttpUrl = currentUrl;
-
-            if (process.env.SINGLE_CONTRACT) {
-              wttpUrl = `${process.env.SINGLE_CONTRACT}${currentUrl}`;
-            } else {
-              wttpUrl = currentUrl.startsWith("/wttp/")
-                ? currentUrl.split("/wttp/")[1]
-                : currentUrl;
-            }
-
-            const { address, chain } = parseWttpUrl(wttpUrl);
-
-            // Construct the path for the CSS file
-            fetchPath = href;
-            fetchAddress = address;
-            fetchChain = chain;
-
-            // Process any embedded URLs in the CSS content
+            styleSheetUrl = baseUrl.resolve(href);
           } catch (error) {
             console.warn(`Failed to process CSS file ${href}:`, error);
             // Remove the original link tag even if processing failed to prevent browser from trying to load it
@@ -158,14 +139,17 @@ export async function processStyleSheets(fullContent) {
           }
         }
 
-        try {
-          result = await fetchWTTPResource({
-            siteAddress: fetchAddress,
-            path: fetchPath,
-            network: fetchChain,
-          });
-        } catch (error) {
-          console.warn(`Failed to fetch stylesheet ${href}:`, error);
+        if (styleSheetUrl) {
+          try {
+            result = await fetchWTTPResource({
+              siteAddress: styleSheetUrl.host,
+              path: styleSheetUrl.path,
+              network: styleSheetUrl.chain,
+              options: { batch: true },
+            });
+          } catch (error) {
+            console.warn(`Failed to fetch stylesheet ${href}:`, error);
+          }
         }
 
         // Shared post-fetch processing for both branches
@@ -175,9 +159,9 @@ export async function processStyleSheets(fullContent) {
             result.response.head.status === 206n
           ) {
             if (result.content) {
-              const mimeType =
-                result.response.head.metadata.properties.mimeType;
-              const content = decodeContent(result.content, mimeType);
+              const { mimeType, charset } =
+                result.response.head.metadata.properties;
+              const content = decodeContent(result.content, mimeType, charset);
               console.log("CSS response MIME type:", mimeType);
               console.log("CSS content length:", result.content.length);
 
@@ -188,11 +172,10 @@ export async function processStyleSheets(fullContent) {
               const cssContent =
                 typeof content === "string"
                   ? content
-                  : new TextDecoder().decode(result.content);
+                  : decodeContent(result.content, "text/css", charset);
               const processedContent = await processCssUrls(
                 cssContent,
-                fetchAddress,
-                fetchChain
+                getServedWttpUrl(styleSheetUrl, result)
               );
               styleTag.innerHTML = processedContent;
 
@@ -221,7 +204,7 @@ export async function processStyleSheets(fullContent) {
   return fullContent;
 }
 
-export async function processScripts(fullContent) {
+export async function processScripts(fullContent, baseUrl = getPageWttpUrl()) {
   const scripts = fullContent.match(/<script[^>]*>([\s\S]*?)<\/script>/gi);
   if (scripts) {
     console.log("Found scripts:", scripts);
@@ -241,44 +224,22 @@ export async function processScripts(fullContent) {
           !scriptSrc.startsWith("https://") &&
           !scriptSrc.startsWith("//")
         ) {
-          let fetchAddress;
-          let fetchChain;
-          let fetchPath;
-
-          if (scriptSrc.startsWith("wttp://")) {
-            console.log("Processing wttp script:", scriptSrc);
-            const { address, chain, path } = parseWttpUrl(scriptSrc);
-            fetchAddress = address;
-            fetchChain = chain;
-            fetchPath = path;
-          } else {
-            // Handle relative URLs and any non-absolute URLs
-            // These should be fetched from the same WTTP source as the main page
-            console.log("Processing relative JS file:", scriptSrc);
-            const currentUrl = window.location.pathname;
-            let wttpUrl = currentUrl;
-
-            if (process.env.SINGLE_CONTRACT) {
-              wttpUrl = `${process.env.SINGLE_CONTRACT}${currentUrl}`;
-            } else {
-              wttpUrl = currentUrl.startsWith("/wttp/")
-                ? currentUrl.split("/wttp/")[1]
-                : currentUrl;
-            }
-
-            const { address, chain } = parseWttpUrl(wttpUrl);
-
-            // Construct the path for the JS file
-            fetchPath = scriptSrc;
-            fetchAddress = address;
-            fetchChain = chain;
-          }
+          // WTTP URLs are used directly; relative URLs and any non-absolute
+          // URLs are fetched from the same WTTP source as the main page
+          console.log(
+            scriptSrc.startsWith("wttp://")
+              ? "Processing wttp script:"
+              : "Processing relative JS file:",
+            scriptSrc
+          );
 
           try {
+            const scriptUrl = baseUrl.resolve(scriptSrc);
             const result = await fetchWTTPResource({
-              siteAddress: fetchAddress,
-              path: fetchPath,
-              network: fetchChain,
+              siteAddress: scriptUrl.host,
+              path: scriptUrl.path,
+              network: scriptUrl.chain,
+              options: { batch: true },
             });
 
             if (
@@ -286,9 +247,13 @@ export async function processScripts(fullContent) {
               result.response.head.status === 206n
             ) {
               if (result.content) {
-                const mimeType =
-                  result.response.head.metadata.properties.mimeType;
-                const content = decodeContent(result.content, mimeType);
+                const { mimeType, charset } =
+                  result.response.head.metadata.properties;
+                const content = decodeContent(
+                  result.content,
+                  mimeType,
+                  charset
+                );
                 console.log("JS response MIME type:", mimeType);
                 console.log("JS content length:", result.content.length);
 
@@ -310,7 +275,7 @@ export async function processScripts(fullContent) {
                 let scriptContent =
                   typeof content === "string"
                     ? content
-                    : new TextDecoder().decode(result.content);
+                    : decodeContent(result.content, "text/javascript", charset);
 
                 // Validate script content before processing
                 if (!scriptContent || scriptContent.trim() === "") {
@@ -518,7 +483,7 @@ export async function processScripts(fullContent) {
   return fullContent;
 }
 
-export async function processImages() {
+export async function processImages(baseUrl = getPageWttpUrl()) {
   // Find all img elements in the current document
   const images = document.querySelectorAll("img");
 
@@ -530,12 +495,13 @@ export async function processImages() {
       console.log("Found WTTP image tag", image);
 
       try {
-        const { address, chain, path } = parseWttpUrl(imageSrc);
+        const { host, chain: network, path } = new WttpURL(imageSrc);
 
         const result = await fetchWTTPResource({
-          siteAddress: address,
+          siteAddress: host,
           path: path,
-          network: chain,
+          network: network,
+          options: { batch: true },
         });
 
         if (
@@ -543,16 +509,11 @@ export async function processImages() {
           result.response.head.status === 206n
         ) {
           if (result.content) {
-            const mimeType = result.response.head.metadata.properties.mimeType;
-            const content = decodeContent(result.content, mimeType);
-
-            // Convert content to base64 dataUrl for image tag
-            const base64Content =
-              typeof content === "string"
-                ? btoa(content)
-                : btoa(String.fromCharCode(...result.content));
-            const dataUrl = `data:image/png;base64,${base64Content}`;
-            image.src = dataUrl;
+            // Convert content to a dataUrl with its real type for the image tag
+            image.src = toDataUrl(
+              result.content,
+              getResourceContentType(result, path)
+            );
 
             console.log("Successfully updated image src for:", imageSrc);
           }
@@ -575,27 +536,18 @@ export async function processImages() {
       // These should be fetched from the same WTTP source as the main page
       console.log("Processing relative image file:", imageSrc);
       try {
-        // Get the current WTTP URL from the page
-        const currentUrl = window.location.pathname;
-        let wttpUrl = currentUrl;
-
-        if (process.env.SINGLE_CONTRACT) {
-          wttpUrl = `${process.env.SINGLE_CONTRACT}${currentUrl}`;
-        } else {
-          wttpUrl = currentUrl.startsWith("/wttp/")
-            ? currentUrl.split("/wttp/")[1]
-            : currentUrl;
-        }
-
-        const { address, chain } = parseWttpUrl(wttpUrl);
-
-        // Construct the path for the image file
-        const imagePath = imageSrc;
+        // Resolve the image against the page's WTTP URL
+        const {
+          host,
+          chain: network,
+          path: imagePath,
+        } = baseUrl.resolve(imageSrc);
 
         const result = await fetchWTTPResource({
-          siteAddress: address,
+          siteAddress: host,
           path: imagePath,
-          network: chain,
+          network: network,
+          options: { batch: true },
         });
 
         if (
@@ -603,18 +555,12 @@ export async function processImages() {
           result.response.head.status === 206n
         ) {
           if (result.content) {
-            const mimeType = result.response.head.metadata.properties.mimeType;
-            const content = decodeContent(result.content, mimeType);
-            console.log("Image response MIME type:", mimeType);
+            const contentType = getResourceContentType(result, imagePath);
+            console.log("Image response content type:", contentType);
             console.log("Image content length:", result.content.length);
 
-            // Convert content to base64 dataUrl for image tag
-            const base64Content =
-              typeof content === "string"
-                ? btoa(content)
-                : btoa(String.fromCharCode(...result.content));
-            const dataUrl = `data:image/png;base64,${base64Content}`;
-            image.src = dataUrl;
+            // Convert content to a dataUrl with its real type for the image tag
+            image.src = toDataUrl(result.content, contentType);
 
             console.log("Successfully updated image src for:", imageSrc);
           }
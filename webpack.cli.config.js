@@ -0,0 +1,33 @@
+const path = require("path");
+const webpack = require("webpack");
+
+// Bundles the wttp-bridge command line for Node (see src/cli)
+module.exports = {
+  mode: "production",
+  target: "node",
+  entry: {
+    "wttp-bridge": "./src/cli/wttp-bridge.js",
+  },
+  output: {
+    filename: "[name].js",
+    path: path.resolve(__dirname, "dist/cli"),
+  },
+  plugins: [
+    // Make the bundle executable as a bin script
+    new webpack.BannerPlugin({ banner: "#!/usr/bin/env node", raw: true }),
+  ],
+  module: {
+    rules: [
+      {
+        test: /\.js$/,
+        exclude: /node_modules/,
+        use: {
+          loader: "babel-loader",
+          options: {
+            presets: [["@babel/preset-env", { targets: { node: "18" } }]],
+          },
+        },
+      },
+    ],
+  },
+};